@@ -3,6 +3,11 @@ import express from 'express';
 import cors from 'cors';
 import twilio from 'twilio'; // Twilio Node.js SDK
 import fetch from 'node-fetch'; // For making HTTP requests to external APIs (e.g., Google Maps)
+import crypto from 'crypto'; // For signing quote IDs and session tokens, and generating IDs
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks'; // Carries the request ID into async work for logging
+import { EventEmitter } from 'events'; // Booking change notifications for live tracking streams
 
 // Load environment variables at the very beginning of the application
 dotenv.config();
@@ -10,6 +15,143 @@ dotenv.config();
 const app = express();
 // Use port from .env or default to 5000 (consistent with your previous logs)
 const port = process.env.PORT || 5000;
+// Deployed instances may run side by side and restart at any time, so anything one instance signs
+// must verify on another: missing secrets are fatal there rather than replaced by random ones
+const IS_PRODUCTION = Boolean(process.env.VERCEL) || process.env.NODE_ENV === 'production';
+
+// --- Logging ---
+// Writes one JSON object per line so Vercel's log search can filter on any field:
+//   {"level":"info","time":"...","msg":"...","requestId":"...", ...fields}
+// LOG_LEVEL (debug | info | warn | error, default info) sets the lowest level written.
+// Fields are redacted before they are written: OTP codes, tokens, keys, signatures and message
+// bodies are dropped, anything that looks like a phone number keeps only its last four digits, and
+// key/token query parameters inside strings (e.g. a failed request's URL) are masked.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD_PATTERN = /otp|token|secret|password|api-?key|authorization|signature|^body$/i;
+const PHONE_NUMBER_PATTERN = /\+?\d{10,15}\b/g;
+const SECRET_QUERY_PARAM_PATTERN = /([?&](?:key|api_?key|token|signature)=)[^&#\s'"]+/gi;
+const MAX_REDACT_DEPTH = 10;
+
+const maskPhoneNumbers = (text) => text.replace(PHONE_NUMBER_PATTERN, (match) => match.replace(/\d(?=\d{4})/g, '*'));
+
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return maskPhoneNumbers(value.replace(SECRET_QUERY_PARAM_PATTERN, `$1${REDACTED}`));
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, status: value.status, errorCode: value.code, stack: value.stack }, depth);
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= MAX_REDACT_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) =>
+        [key, SECRET_FIELD_PATTERN.test(key) && fieldValue !== undefined ? REDACTED : redact(fieldValue, depth + 1)]));
+};
+
+// Holds { requestId } for the request being handled; see the request ID middleware below
+const requestContext = new AsyncLocalStorage();
+
+const writeLog = (level, msg, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    const entry = {
+        level,
+        time: new Date().toISOString(),
+        msg: maskPhoneNumbers(msg),
+        ...requestContext.getStore(),
+        ...redact(fields),
+    };
+    const line = JSON.stringify(entry);
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+};
+
+const logger = {
+    debug: (msg, fields) => writeLog('debug', msg, fields),
+    info: (msg, fields) => writeLog('info', msg, fields),
+    warn: (msg, fields) => writeLog('warn', msg, fields),
+    error: (msg, fields) => writeLog('error', msg, fields),
+};
+
+// --- Metrics ---
+// In-memory counters and histograms, rendered in the Prometheus text format at /metrics. Each
+// serverless instance only counts its own traffic, so dashboards should sum across instances.
+// The counters reveal booking and revenue volumes, so /metrics needs the staff API key or
+// `Authorization: Bearer <METRICS_TOKEN>` (for scrapers that cannot send custom headers).
+// Callers must pass label objects with their keys in the same order every time.
+const metricsRegistry = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+const createCounter = (name, help) => {
+    const values = new Map(); // formatted labels -> count
+    const counter = {
+        inc: (labels = {}, amount = 1) => {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...values].map(([labels, value]) => `${name}${labels} ${value}`),
+        ],
+    };
+    metricsRegistry.push(counter);
+    return counter;
+};
+
+const createHistogram = (name, help, buckets) => {
+    const series = new Map(); // formatted labels -> { labels, bucketCounts, sum, count }
+    const histogram = {
+        observe: (labels, value) => {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.bucketCounts[index] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...[...series.values()].flatMap(({ labels, bucketCounts, sum, count }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${bucketCounts[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`,
+            ]),
+        ],
+    };
+    metricsRegistry.push(histogram);
+    return histogram;
+};
+
+const renderMetrics = () => `${metricsRegistry.flatMap((metric) => metric.render()).join('\n')}\n`;
+
+const metrics = {
+    httpRequests: createCounter('http_requests_total', 'HTTP requests by method, route and status code.'),
+    httpRequestDuration: createHistogram('http_request_duration_seconds', 'HTTP request latency by method and route.',
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+    otpSends: createCounter('otp_sends_total', 'OTP send attempts by result (success | failure).'),
+    otpVerifications: createCounter('otp_verifications_total', 'OTP verification attempts by result (approved | rejected | expired | error).'),
+    smsMessages: createCounter('sms_messages_total', 'Outbound SMS by template and result (sent | failed).'),
+    smsDeliveryFailures: createCounter('sms_delivery_failures_total', 'SMS reported failed or undelivered by the Twilio status webhook, by status.'),
+    routesApiRequests: createCounter('google_routes_requests_total', 'Google Routes API calls by outcome (success | client_error | server_error | network_error).'),
+    routeCacheLookups: createCounter('route_cache_lookups_total', 'Route cache lookups by result (hit | miss).'),
+    placesApiRequests: createCounter('google_places_requests_total', 'Google Places Autocomplete and Geocoding API calls by api and outcome.'),
+};
 
 // --- Twilio Credentials from Environment Variables ---
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
@@ -19,286 +161,4922 @@ const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER; // Your Twilio phon
 
 // --- Google Maps Platform API Key ---
 const GOOGLE_ROUTES_API_KEY = process.env.GOOGLE_ROUTES_API_KEY;
+// Places and Geocoding use the same key unless the project keeps them on a separate one
+const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY || GOOGLE_ROUTES_API_KEY;
+
+// --- Messaging Providers ---
+// Every provider implements the same three calls, all taking E.164 numbers:
+//   sendOtp(to) -> { sid }, checkOtp(to, code) -> { status },
+//   sendSms(to, body, { statusCallback }) -> { sid, status }
+// checkOtp resolves with status 'approved' for a correct code, like Twilio Verify does.
+// checkHealth() resolves when the provider is reachable with our credentials; used by /ready.
+const createTwilioProvider = () => {
+    // It's good practice to add checks for missing credentials before initialization
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_VERIFY_SERVICE_SID || !TWILIO_PHONE_NUMBER) {
+        logger.error('CRITICAL ERROR: Missing one or more Twilio environment variables. Please check your .env file, or set MESSAGING_PROVIDER=mock for local development.');
+        process.exit(1); // Exit if critical credentials are missing
+    }
+    const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+    return {
+        name: 'twilio',
+        sendOtp: async (to) => {
+            const verification = await twilioClient.verify.v2.services(TWILIO_VERIFY_SERVICE_SID)
+                .verifications
+                .create({ to, channel: 'sms' });
+            return { sid: verification.sid };
+        },
+        checkOtp: async (to, code) => {
+            const verificationCheck = await twilioClient.verify.v2.services(TWILIO_VERIFY_SERVICE_SID)
+                .verificationChecks
+                .create({ to, code });
+            return { status: verificationCheck.status };
+        },
+        sendSms: async (to, body, { statusCallback } = {}) => {
+            const message = await twilioClient.messages.create({
+                body,
+                to,
+                from: TWILIO_PHONE_NUMBER, // Your Twilio phone number (must be configured in .env)
+                ...(statusCallback ? { statusCallback } : {}),
+            });
+            return { sid: message.sid, status: message.status };
+        },
+        // Fetching the Verify service checks connectivity, credentials and the service SID in one call
+        checkHealth: async () => {
+            await twilioClient.verify.v2.services(TWILIO_VERIFY_SERVICE_SID).fetch();
+        },
+    };
+};
+
+// In-process stand-in for development and CI: nothing leaves the machine, messages are logged,
+// and MOCK_OTP_CODE (default 123456) is the only code that verifies.
+const createMockProvider = () => {
+    const MOCK_OTP_CODE = process.env.MOCK_OTP_CODE || '123456';
+    const mockSid = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+    logger.warn('WARNING: Using the mock messaging provider. No SMS will be sent; only MOCK_OTP_CODE verifies.');
+
+    return {
+        name: 'mock',
+        sendOtp: async (to) => {
+            const sid = mockSid('VE');
+            logger.info('[mock messaging] OTP sent', { sid, to });
+            return { sid };
+        },
+        checkOtp: async (to, code) => ({ status: String(code) === MOCK_OTP_CODE ? 'approved' : 'pending' }),
+        sendSms: async (to, body) => {
+            const sid = mockSid('SM');
+            logger.info('[mock messaging] SMS sent', { sid, to, length: body.length });
+            return { sid, status: 'sent' };
+        },
+        checkHealth: async () => {},
+    };
+};
 
-// --- Initialize Twilio Client ---
-// It's good practice to add checks for missing credentials before initialization
-if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_VERIFY_SERVICE_SID || !TWILIO_PHONE_NUMBER) {
-    console.error('CRITICAL ERROR: Missing one or more Twilio environment variables. Please check your .env file.');
-    process.exit(1); // Exit if critical credentials are missing
+const MESSAGING_PROVIDERS = {
+    twilio: createTwilioProvider,
+    mock: createMockProvider,
+};
+const messagingProviderName = process.env.MESSAGING_PROVIDER || 'twilio';
+if (!MESSAGING_PROVIDERS[messagingProviderName]) {
+    logger.error(`CRITICAL ERROR: Unknown MESSAGING_PROVIDER "${messagingProviderName}".`, { expected: Object.keys(MESSAGING_PROVIDERS) });
+    process.exit(1);
 }
-const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+const messagingProvider = MESSAGING_PROVIDERS[messagingProviderName]();
 
 // --- Check Google Maps API Key ---
 if (!GOOGLE_ROUTES_API_KEY) {
-    console.error('ERROR: GOOGLE_ROUTES_API_KEY is not set in the .env file!');
+    logger.error('ERROR: GOOGLE_ROUTES_API_KEY is not set in the .env file!');
     process.exit(1); // Exit if critical API key is missing
 }
 const allowedOrigin = '*';
+// --- Request IDs ---
+// Every request gets an ID, taken from the caller's X-Request-Id header when it looks sane, so one
+// request's log lines can be found together. It is echoed back in the X-Request-Id response header;
+// the app should quote it when reporting a problem.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+app.use((req, res, next) => {
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        // Label by route pattern (/api/bookings/:id), not path, to keep the label set bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpRequestDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+        const level = res.statusCode >= 500 ? 'error' : 'info';
+        writeLog(level, 'Request completed', {
+            requestId,
+            method: req.method,
+            // Tracking share tokens are bearer credentials; keep them out of the logs
+            path: req.path.replace(/\/track\/[^/]+/, '/track/:token'),
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+        });
+    });
+
+    requestContext.run({ requestId }, next);
+});
+
 // --- Middleware Setup ---
 app.use(cors({
   origin: '*', // Allows requests from all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // Include all methods your API will handle
-  allowedHeaders: ['X-CSRF-Token', 'X-Requested-With', 'Accept', 'Accept-Version', 'Content-Length', 'Content-MD5', 'Content-Type', 'Date', 'X-Api-Version', 'Authorization'], // Specify all headers allowed in client requests
+  allowedHeaders: ['X-CSRF-Token', 'X-Requested-With', 'Accept', 'Accept-Version', 'Content-Length', 'Content-MD5', 'Content-Type', 'Date', 'X-Api-Version', 'Authorization', 'X-Request-Id', 'X-Api-Key'], // Specify all headers allowed in client requests
+  exposedHeaders: ['X-Request-Id', 'Retry-After'], // Response headers the app may read
   credentials: false, // Must be false when origin is '*'
 }));
-app.use(express.json()); // Enable JSON body parsing for incoming requests
+// Enable JSON body parsing for incoming requests. The raw bytes are kept on req.rawBody because
+// payment webhook signatures are computed over the exact body the gateway sent.
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+// Behind Vercel's proxy; req.ip should be the client's address for rate limiting. Trusting every
+// hop would let clients pick their own req.ip through X-Forwarded-For, so only the given number of
+// proxy hops (or an Express trust list such as 'loopback') is trusted.
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 
 // --- Helper function for E.164 phone number formatting ---
 // Twilio requires phone numbers in E.164 format (e.g., +12345678900).
-// This function attempts to format it if a country code is missing.
+// Numbers without a '+' must be Indian mobiles: 10 digits starting with 6-9, optionally prefixed
+// with 0 or 91. Spaces, dashes, dots and brackets are ignored. Anything else returns null.
+const INDIAN_MOBILE_PATTERN = /^[6-9]\d{9}$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
 const formatPhoneNumberForTwilio = (number) => {
-    if (!number) return null;
-    // Remove any non-digit characters except for a leading '+'
-    let cleanedNumber = number.replace(/[^\d+]/g, '');
+    if (typeof number !== 'string' && typeof number !== 'number') return null;
+    const trimmedNumber = String(number).trim();
+    if (!trimmedNumber || /[^\d+\s().-]/.test(trimmedNumber)) return null;
+
+    const cleanedNumber = trimmedNumber.replace(/[\s().-]/g, '');
+
+    if (cleanedNumber.startsWith('+')) {
+        if (!E164_PATTERN.test(cleanedNumber)) return null;
+        if (cleanedNumber.startsWith('+91') && !INDIAN_MOBILE_PATTERN.test(cleanedNumber.slice(3))) return null;
+        return cleanedNumber;
+    }
+
+    let nationalNumber = cleanedNumber;
+    if (nationalNumber.length === 11 && nationalNumber.startsWith('0')) {
+        nationalNumber = nationalNumber.slice(1);
+    } else if (nationalNumber.length === 12 && nationalNumber.startsWith('91')) {
+        nationalNumber = nationalNumber.slice(2);
+    }
+    return INDIAN_MOBILE_PATTERN.test(nationalNumber) ? `+91${nationalNumber}` : null;
+};
 
-    // If it doesn't start with '+', assume it's an Indian number and prepend '+91'
-    if (!cleanedNumber.startsWith('+')) {
-        return `+91${cleanedNumber}`;
+// --- Error Responses ---
+// Every error response has the same envelope so the app can branch on a stable `error.code`
+// instead of parsing text:
+//   { error: { code, message, ...extra }, message }
+// The top-level `message` repeats error.message for app versions that still read it directly.
+// Upstream (Twilio/Google) error text is logged, never forwarded.
+const sendError = (res, status, code, message, extra = {}) =>
+    res.status(status).json({ error: { code, message, ...extra }, message });
+
+// For errors thrown from helpers. `expose` marks the message as safe to show clients; handlers pass
+// such errors to sendApiError, or let the error handler at the bottom of this file answer.
+const createApiError = (status, code, message, extra = {}) =>
+    Object.assign(new Error(message), { status, code, extra, expose: true });
+
+const sendApiError = (res, error) => sendError(res, error.status, error.code, error.message, error.extra);
+
+// Maps a messaging provider failure to a client-safe error
+const sendMessagingError = (res, error, message) => {
+    if (error.status === 429) {
+        return sendError(res, 429, 'RATE_LIMITED', 'Too many messages to this number. Please try again later.');
+    }
+    if (error.status === 400) {
+        return sendError(res, 400, 'PHONE_NUMBER_REJECTED', 'This phone number cannot receive SMS.');
+    }
+    return sendError(res, 502, 'MESSAGING_FAILED', message);
+};
+
+// --- GST Registration Numbers ---
+// A GSTIN is the 2-digit state code, the holder's PAN, an entity number, 'Z' and a check
+// character, e.g. 33AAACF1234A1ZM. The state code decides whether a supply is intra- or
+// inter-state, so invoices need the names too.
+const GST_STATES = {
+    '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+    '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+    '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+    '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+    '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+    '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+    '97': 'Other Territory',
+};
+
+// Matches the state names Google's geocoder returns, e.g. "Tamil Nadu"
+const getGstStateCode = (stateName) => {
+    const name = String(stateName || '').trim().toLowerCase();
+    return Object.keys(GST_STATES).find((code) => GST_STATES[code].toLowerCase() === name) || null;
+};
+
+const GSTIN_PATTERN = /^(\d{2})[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Base-36 weighted checksum over the first 14 characters (weights alternate 1, 2)
+const getGstinCheckCharacter = (gstin) => {
+    let sum = 0;
+    for (let index = 0; index < 14; index++) {
+        const product = GSTIN_CHARACTERS.indexOf(gstin[index]) * (index % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
     }
-    return cleanedNumber;
+    return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+const isValidGstin = (value) => {
+    const match = GSTIN_PATTERN.exec(value);
+    return Boolean(match) && Boolean(GST_STATES[match[1]]) && getGstinCheckCharacter(value) === value[14];
+};
+
+// --- Request Validation ---
+// A schema maps body fields to rules:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+//   required  missing, null and blank strings all count as absent
+//   enum, format ('phone' | 'otp' | 'date' | 'time'), pattern, maxLength, min, max, maxItems
+//   items     rule applied to every array entry; properties: schema for an object's fields
+//   check     (value, body) -> error message or null, for config-dependent or cross-field rules
+// validateBody(schema) answers 400 VALIDATION_FAILED with every failing field in `details`;
+// validateQuery(schema) does the same for query strings, whose values are always strings.
+const OTP_LENGTH = Number(process.env.OTP_LENGTH || 6);
+
+const isValidCalendarDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const FIELD_FORMATS = {
+    phone: { test: (value) => formatPhoneNumberForTwilio(value) !== null, message: 'must be a valid mobile number, e.g. 9876543210 or +919876543210' },
+    otp: { test: (value) => new RegExp(`^\\d{${OTP_LENGTH}}$`).test(value), message: `must be a ${OTP_LENGTH}-digit code` },
+    date: { test: isValidCalendarDate, message: 'must be a date in YYYY-MM-DD format' },
+    time: { test: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value), message: 'must be a time in 24-hour HH:mm format' },
+    gstin: { test: isValidGstin, message: 'must be a valid 15-character GSTIN in capitals, e.g. 33AAACF1234A1ZM' },
+};
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
 };
 
+const validateValue = (rule, value, field, body, errors) => {
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+        if (rule.required) errors.push({ field, message: `${field} is required.` });
+        return;
+    }
+    if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+        errors.push({ field, message: `${field} must be of type ${rule.type}.` });
+        return;
+    }
+    if (rule.format && !FIELD_FORMATS[rule.format].test(value)) {
+        errors.push({ field, message: `${field} ${FIELD_FORMATS[rule.format].message}.` });
+        return;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}.` });
+        return;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push({ field, message: rule.patternMessage || `${field} is not in the expected format.` });
+        return;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field, message: `${field} must be at most ${rule.maxLength} characters.` });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `${field} must be at least ${rule.min}.` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, message: `${field} must be at most ${rule.max}.` });
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        errors.push({ field, message: `${field} can have at most ${rule.maxItems} entries.` });
+    }
+    if (rule.items) {
+        value.forEach((item, index) => validateValue({ required: true, ...rule.items }, item, `${field}[${index}]`, body, errors));
+    }
+    if (rule.properties) {
+        errors.push(...validateAgainstSchema(rule.properties, value, `${field}.`));
+    }
+    if (rule.check) {
+        const message = rule.check(value, body);
+        if (message) errors.push({ field, message });
+    }
+};
 
-// --- API Endpoint: Send OTP (Twilio Verify) ---
-app.post('/api/send-otp', async (req, res) => {
-    let { phoneNumber } = req.body;
+const validateAgainstSchema = (schema, body, prefix = '') => {
+    const errors = [];
+    Object.entries(schema).forEach(([name, rule]) => validateValue(rule, body?.[name], `${prefix}${name}`, body, errors));
+    return errors;
+};
 
-    phoneNumber = formatPhoneNumberForTwilio(phoneNumber);
+const validateBody = (schema) => (req, res, next) => {
+    const errors = validateAgainstSchema(schema, req.body || {});
+    if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', errors[0].message, { details: errors });
+    }
+    next();
+};
 
-    if (!phoneNumber) {
-        console.warn('Attempted to send OTP with empty or invalid phone number.');
-        return res.status(400).json({ message: 'Phone number is required and must be valid.' });
+const validateQuery = (schema) => (req, res, next) => {
+    const errors = validateAgainstSchema(schema, req.query);
+    if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', errors[0].message, { details: errors });
     }
+    next();
+};
+
+// Same rules with nothing required, for partial updates
+const toPartialSchema = (schema) =>
+    Object.fromEntries(Object.entries(schema).map(([name, rule]) => [name, { ...rule, required: false }]));
+
+// --- Signed Payload Helpers ---
+// Tokens are `<base64url JSON payload>.<base64url HMAC-SHA256>`; a payload with `exp` (ms epoch)
+// is rejected once it has passed.
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.QUOTE_SIGNING_SECRET && IS_PRODUCTION) {
+    logger.error('CRITICAL ERROR: QUOTE_SIGNING_SECRET must be set in production, or quotes issued by one instance will fail on another.');
+    process.exit(1);
+} else if (!process.env.QUOTE_SIGNING_SECRET) {
+    logger.warn('WARNING: QUOTE_SIGNING_SECRET is not set. Using a random secret, so issued quotes will not survive a restart.');
+}
+
+const signPayload = (payload, secret) => {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+    return `${encodedPayload}.${signature}`;
+};
+
+const verifySignedPayload = (token, secret) => {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [encodedPayload, signature] = token.split('.');
+    const expectedSignature = crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+
+    const given = Buffer.from(signature || '');
+    const expected = Buffer.from(expectedSignature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
 
     try {
-        console.log(`Attempting to send OTP to: ${phoneNumber} using Service SID: ${TWILIO_VERIFY_SERVICE_SID}`);
-        const verification = await twilioClient.verify.v2.services(TWILIO_VERIFY_SERVICE_SID)
-            .verifications
-            .create({ to: phoneNumber, channel: 'sms' });
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (payload.exp && Date.now() > payload.exp) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+};
+
+// --- JSON File Store ---
+// Minimal persistence: each collection is a JSON object keyed by record id, kept in memory and
+// rewritten to DATA_DIR/<name>.json (via a temp file + rename) on every change.
+// DATA_DIR must be writable. On Vercel the deployment bundle is read-only, so set DATA_DIR to a
+// path under /tmp (e.g. /tmp/fasttrack-data); note that /tmp is per-instance and not durable.
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+} catch (error) {
+    logger.error(`CRITICAL ERROR: DATA_DIR "${DATA_DIR}" is not writable. Set DATA_DIR to a writable directory (on Vercel, a path under /tmp).`, { error: error.message });
+    process.exit(1);
+}
+
+// Whether DATA_DIR outlives the process and is shared by every instance. Vercel's /tmp is neither;
+// set DATA_DIR_DURABLE=true when DATA_DIR is a persistent volume.
+const DATA_DIR_DURABLE = process.env.DATA_DIR_DURABLE ? process.env.DATA_DIR_DURABLE === 'true' : !process.env.VERCEL;
+
+const createJsonFileStore = (name) => {
+    const filePath = path.join(DATA_DIR, `${name}.json`);
+    let records = {};
+
+    if (fs.existsSync(filePath)) {
+        try {
+            records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`ERROR: Could not read ${filePath}. Starting with an empty ${name} store.`, { error });
+        }
+    }
+
+    const persist = () => {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    return {
+        get: (id) => records[id] || null,
+        list: (predicate = () => true) => Object.values(records).filter(predicate),
+        save: (record) => {
+            records[record.id] = record;
+            persist();
+            return record;
+        },
+        remove: (id) => {
+            const existed = Boolean(records[id]);
+            delete records[id];
+            if (existed) persist();
+            return existed;
+        },
+    };
+};
+
+// --- Session Tokens ---
+// Access tokens are short-lived signed payloads (see signPayload) carrying the verified E.164 number.
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored, and each one is
+// rotated on use.
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET && IS_PRODUCTION) {
+    logger.error('CRITICAL ERROR: AUTH_TOKEN_SECRET must be set in production, or sessions started on one instance will fail on another.');
+    process.exit(1);
+} else if (!process.env.AUTH_TOKEN_SECRET) {
+    logger.warn('WARNING: AUTH_TOKEN_SECRET is not set. Using a random secret, so sessions will not survive a restart.');
+}
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const refreshTokensStore = createJsonFileStore('refresh-tokens');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueSessionTokens = (phoneNumber) => {
+    const now = Date.now();
+    const accessToken = signPayload({
+        sub: phoneNumber,
+        type: 'access',
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+    }, AUTH_TOKEN_SECRET);
+
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    refreshTokensStore.save({
+        id: hashToken(refreshToken),
+        phoneNumber,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    return {
+        tokenType: 'Bearer',
+        accessToken,
+        expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+        refreshToken,
+    };
+};
+
+// --- Auth Middleware ---
+// Rejects requests without a valid `Authorization: Bearer <accessToken>` header and exposes the
+// verified number as req.auth.phoneNumber.
+const requireAuth = (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' ? verifySignedPayload(token, AUTH_TOKEN_SECRET) : null;
+
+    if (!payload || payload.type !== 'access') {
+        return sendError(res, 401, 'AUTH_REQUIRED', 'Authentication required. Please verify your phone number again.');
+    }
+
+    req.auth = { role: 'customer', phoneNumber: payload.sub };
+    next();
+};
+
+// --- Rate Limit Counter Stores ---
+// A counter store exposes async increment(key, windowMs) -> { count, resetAt }, and reset(key).
+// Fixed windows: the first increment of a key starts its window. Pick one with RATE_LIMIT_STORE
+// ('memory' by default, or 'file' to keep counters across restarts via the JSON file store).
+const createMemoryCounterStore = () => {
+    const counters = new Map();
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { ...counter };
+        },
+        reset: async (key) => {
+            counters.delete(key);
+        },
+    };
+};
+
+const createFileCounterStore = () => {
+    const store = createJsonFileStore('rate-limits');
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let counter = store.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { id: key, count: 0, resetAt: now + windowMs };
+            }
+            counter.count += 1;
+            store.save(counter);
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+        reset: async (key) => {
+            store.remove(key);
+        },
+    };
+};
+
+const COUNTER_STORES = {
+    memory: createMemoryCounterStore,
+    file: createFileCounterStore,
+};
+const rateLimitStoreName = process.env.RATE_LIMIT_STORE || 'memory';
+if (!COUNTER_STORES[rateLimitStoreName]) {
+    logger.error(`ERROR: Unknown RATE_LIMIT_STORE "${rateLimitStoreName}". Falling back to the in-memory store.`);
+}
+const rateLimitStore = (COUNTER_STORES[rateLimitStoreName] || createMemoryCounterStore)();
 
-        console.log('Twilio verification initiated. SID:', verification.sid);
-        res.status(200).json({ message: 'OTP sent successfully!', sid: verification.sid });
+// --- Rate Limit Configuration ---
+// `limit` requests per `windowMs`; a cooldown is simply a limit of 1. Override any entry with a
+// RATE_LIMITS_JSON environment variable, e.g. {"otpSendPerPhone":{"limit":5,"windowMs":600000}}.
+const DEFAULT_RATE_LIMITS = {
+    otpSendCooldown: { limit: 1, windowMs: 30 * 1000 },
+    otpSendPerPhone: { limit: 3, windowMs: 10 * 60 * 1000 },
+    otpSendPerIp: { limit: 10, windowMs: 60 * 60 * 1000 },
+    otpVerifyPerIp: { limit: 30, windowMs: 60 * 60 * 1000 },
+    smsPerPhone: { limit: 5, windowMs: 60 * 60 * 1000 },
+    smsPerIp: { limit: 20, windowMs: 60 * 60 * 1000 },
+    // Autocomplete runs as the customer types, so this is far looser than the SMS limits
+    placesPerIp: { limit: 300, windowMs: 60 * 60 * 1000 },
+    locationPingsPerBooking: { limit: 30, windowMs: 60 * 1000 },
+    // Keeps promo codes from being guessed by trying them one after another
+    promoChecksPerPhone: { limit: 20, windowMs: 60 * 60 * 1000 },
+};
+// Wrong codes allowed against a single OTP before a new one has to be requested
+const MAX_OTP_VERIFY_ATTEMPTS = Number(process.env.MAX_OTP_VERIFY_ATTEMPTS || 5);
+const OTP_VERIFY_WINDOW_MS = 10 * 60 * 1000; // Twilio Verify codes expire after 10 minutes
+
+let RATE_LIMITS = DEFAULT_RATE_LIMITS;
+if (process.env.RATE_LIMITS_JSON) {
+    try {
+        RATE_LIMITS = { ...DEFAULT_RATE_LIMITS, ...JSON.parse(process.env.RATE_LIMITS_JSON) };
     } catch (error) {
-        let errorMessageForClient = 'Failed to send OTP. Please try again.';
-        console.error('Detailed Twilio Error during OTP send:', error);
+        logger.error('ERROR: RATE_LIMITS_JSON is not valid JSON. Falling back to the default rate limits.', { error: error.message });
+    }
+}
+
+// Destination numbers must start with one of these country calling codes (comma separated, no '+')
+const ALLOWED_SMS_COUNTRY_CODES = (process.env.ALLOWED_SMS_COUNTRY_CODES || '91')
+    .split(',')
+    .map((code) => code.trim().replace(/^\+/, ''))
+    .filter(Boolean);
+
+const isAllowedDestination = (e164Number) =>
+    ALLOWED_SMS_COUNTRY_CODES.some((code) => e164Number.startsWith(`+${code}`));
+
+// --- Rate Limit Middleware ---
+const sendTooManyRequests = (res, resetAt, message, code = 'RATE_LIMITED') => {
+    const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendError(res, 429, code, `${message} Please try again in ${retryAfterSeconds} seconds.`, { retryAfter: retryAfterSeconds });
+};
+
+// keyFn returns the value to count against (IP, phone number...) or null to skip the check,
+// e.g. when the body is invalid and the handler will reject it anyway.
+const rateLimit = (name, keyFn, message) => async (req, res, next) => {
+    const key = keyFn(req);
+    if (!key) return next();
 
-        if (error.status && error.message) {
-            errorMessageForClient = `Twilio API Error (${error.status}): ${error.message}`;
-        } else if (error instanceof Error) {
-            errorMessageForClient = `Server Error: ${error.message}`;
+    try {
+        const { limit, windowMs } = RATE_LIMITS[name];
+        const { count, resetAt } = await rateLimitStore.increment(`${name}:${key}`, windowMs);
+        if (count > limit) {
+            logger.warn('Rate limit exceeded', { limit: name, key });
+            return sendTooManyRequests(res, resetAt, message);
         }
-        res.status(500).json({ message: errorMessageForClient });
+        next();
+    } catch (error) {
+        // Fail open: a broken counter store should not take OTP login down with it
+        logger.error('Rate limit store error', { limit: name, error });
+        next();
     }
-});
+};
+
+const byIp = (req) => req.ip;
+const byBodyPhone = (req) => formatPhoneNumberForTwilio(req.body?.phoneNumber);
+const OTP_RATE_LIMIT_MESSAGE = 'Too many OTP requests.';
+const SMS_RATE_LIMIT_MESSAGE = 'Too many SMS requests.';
+const PROMO_RATE_LIMIT_MESSAGE = 'Too many promo code attempts.';
+
+// --- Staff Auth Middleware ---
+// Operations endpoints (drivers, vehicles, assignment) are called by our own dispatch tools with a
+// shared `X-Api-Key`. Without STAFF_API_KEY configured they are unreachable.
+const STAFF_API_KEY = process.env.STAFF_API_KEY;
+
+const isStaffRequest = (req) => {
+    const providedKey = req.headers['x-api-key'];
+    if (!STAFF_API_KEY || typeof providedKey !== 'string') return false;
+    const given = Buffer.from(providedKey);
+    const expected = Buffer.from(STAFF_API_KEY);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const requireStaff = (req, res, next) => {
+    if (!isStaffRequest(req)) {
+        return sendError(res, 401, 'STAFF_AUTH_REQUIRED', 'Staff authentication required.');
+    }
+    req.auth = { role: 'staff' };
+    next();
+};
+
+// Staff may act on any booking; customers only on their own (checked with canAccessBooking).
+const requireCustomerOrStaff = (req, res, next) => {
+    if (isStaffRequest(req)) {
+        req.auth = { role: 'staff' };
+        return next();
+    }
+    requireAuth(req, res, next);
+};
+
+const canAccessBooking = (req, booking) =>
+    req.auth.role === 'staff' || booking.phoneNumber === req.auth.phoneNumber;
+
+// Drivers log in with the same OTP flow; the booking's assignment names their number
+const isAssignedDriver = (req, booking) =>
+    req.auth.role === 'customer' && booking.assignment?.driverPhone === req.auth.phoneNumber;
+
+// --- OTP Volume Stats ---
+// Daily OTP counts (UTC days) for the admin messaging report. Only counts are kept, never numbers.
+// The Prometheus counters cover the same events but reset with every instance.
+const otpStatsStore = createJsonFileStore('otp-stats');
+const OTP_STAT_FIELDS = ['sent', 'sendFailed', 'verified', 'rejected'];
+
+const recordOtpEvent = (field) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const stats = otpStatsStore.get(date)
+        || { id: date, ...Object.fromEntries(OTP_STAT_FIELDS.map((name) => [name, 0])) };
+    stats[field] += 1;
+    otpStatsStore.save(stats);
+};
+
+const refreshTokenSchema = {
+    refreshToken: { type: 'string', required: true, maxLength: 128 },
+};
+
+// --- API Endpoint: Send OTP (Messaging Provider) ---
+app.post('/api/send-otp',
+    rateLimit('otpSendPerIp', byIp, OTP_RATE_LIMIT_MESSAGE),
+    validateBody({ phoneNumber: { type: 'string', required: true, format: 'phone' } }),
+    rateLimit('otpSendCooldown', byBodyPhone, 'An OTP was sent recently.'),
+    rateLimit('otpSendPerPhone', byBodyPhone, OTP_RATE_LIMIT_MESSAGE),
+    async (req, res) => {
+    const phoneNumber = formatPhoneNumberForTwilio(req.body.phoneNumber);
 
-// --- API Endpoint: Verify OTP (Twilio Verify) ---
-app.post('/api/verify-otp', async (req, res) => {
-    let { phoneNumber, otpCode } = req.body;
+    if (!isAllowedDestination(phoneNumber)) {
+        logger.warn('Attempted to send OTP to a number outside the allowed countries', { phoneNumber });
+        return sendError(res, 400, 'UNSUPPORTED_COUNTRY', 'OTP cannot be sent to phone numbers from this country.');
+    }
 
-    phoneNumber = formatPhoneNumberForTwilio(phoneNumber);
+    let verification;
+    try {
+        logger.info('Sending OTP', { phoneNumber, provider: messagingProvider.name });
+        verification = await messagingProvider.sendOtp(phoneNumber);
+    } catch (error) {
+        logger.error('Messaging provider error during OTP send', { phoneNumber, error });
+        metrics.otpSends.inc({ result: 'failure' });
+        recordOtpEvent('sendFailed');
+        return sendMessagingError(res, error, 'Failed to send OTP. Please try again.');
+    }
 
-    if (!phoneNumber || !otpCode) {
-        return res.status(400).json({ message: 'Phone number and OTP code are required.' });
+    // The code is already on its way, so bookkeeping failures from here on must not turn into a
+    // MESSAGING_FAILED response or count as a failed send.
+    logger.info('OTP verification initiated', { sid: verification.sid });
+    metrics.otpSends.inc({ result: 'success' });
+    try {
+        recordOtpEvent('sent');
+        // A fresh code gets a fresh set of verify attempts
+        await rateLimitStore.reset(`otpVerify:${phoneNumber}`);
+    } catch (error) {
+        logger.error('Backend server error while recording an OTP send', { phoneNumber, error });
     }
+    res.status(200).json({ message: 'OTP sent successfully!', sid: verification.sid });
+});
+
+// --- API Endpoint: Verify OTP (Messaging Provider) ---
+app.post('/api/verify-otp',
+    rateLimit('otpVerifyPerIp', byIp, OTP_RATE_LIMIT_MESSAGE),
+    validateBody({
+        phoneNumber: { type: 'string', required: true, format: 'phone' },
+        otpCode: { type: 'string', required: true, format: 'otp' },
+    }),
+    async (req, res) => {
+    const phoneNumber = formatPhoneNumberForTwilio(req.body.phoneNumber);
+    const { otpCode } = req.body;
 
     try {
-        console.log(`Attempting to verify OTP for: ${phoneNumber} with code: ${otpCode}`);
-        const verificationCheck = await twilioClient.verify.v2.services(TWILIO_VERIFY_SERVICE_SID)
-            .verificationChecks
-            .create({ to: phoneNumber, code: otpCode });
+        const attempts = await rateLimitStore.increment(`otpVerify:${phoneNumber}`, OTP_VERIFY_WINDOW_MS);
+        if (attempts.count > MAX_OTP_VERIFY_ATTEMPTS) {
+            logger.warn('Too many OTP verification attempts', { phoneNumber });
+            return sendTooManyRequests(res, attempts.resetAt, 'Too many incorrect OTP attempts.', 'OTP_ATTEMPTS_EXCEEDED');
+        }
+
+        logger.info('Verifying OTP', { phoneNumber });
+        const verificationCheck = await messagingProvider.checkOtp(phoneNumber, otpCode);
 
         if (verificationCheck.status === 'approved') {
-            console.log('OTP verification successful for:', phoneNumber);
-            res.status(200).json({ message: 'OTP verified successfully!', status: 'approved' });
+            logger.info('OTP verification successful', { phoneNumber });
+            metrics.otpVerifications.inc({ result: 'approved' });
+            recordOtpEvent('verified');
+            await rateLimitStore.reset(`otpVerify:${phoneNumber}`);
+            res.status(200).json({
+                message: 'OTP verified successfully!',
+                status: 'approved',
+                ...issueSessionTokens(phoneNumber),
+                // Lets the app offer "bill to my company" straight away
+                corporateAccount: toCorporateMembershipSummary(findCorporateMembership(phoneNumber)),
+            });
         } else {
-            console.warn('OTP verification failed for:', phoneNumber, 'Status:', verificationCheck.status, 'Error Code:', verificationCheck.sna);
-            res.status(400).json({ message: 'Invalid OTP. Please try again.', status: verificationCheck.status });
+            logger.warn('OTP verification failed', { phoneNumber, status: verificationCheck.status });
+            metrics.otpVerifications.inc({ result: 'rejected' });
+            recordOtpEvent('rejected');
+            sendError(res, 400, 'OTP_INVALID', 'Invalid OTP. Please try again.', { status: verificationCheck.status });
         }
     } catch (error) {
-        let errorMessageForClient = 'Verification failed. Please try again.';
-        console.error('Detailed Twilio Error during OTP verification:', error);
-
-        if (error.status && error.message) {
-            errorMessageForClient = `Twilio API Error (${error.status}): ${error.message}`;
-        } else if (error instanceof Error) {
-            errorMessageForClient = `Server Error: ${error.message}`;
+        logger.error('Messaging provider error during OTP verification', { phoneNumber, error });
+        // Twilio Verify answers 404 once the verification has expired or was already used
+        metrics.otpVerifications.inc({ result: error.status === 404 ? 'expired' : 'error' });
+        if (error.status === 404) {
+            return sendError(res, 400, 'OTP_EXPIRED', 'This OTP has expired. Please request a new one.');
         }
-        res.status(500).json({ message: errorMessageForClient });
+        sendMessagingError(res, error, 'Verification failed. Please try again.');
     }
 });
 
-// --- API Endpoint: Send Booking Confirmation SMS (Twilio Messaging) ---
-app.post('/api/send-booking-sms', async (req, res) => {
-    const { phoneNumber, bookingDetails } = req.body;
+// --- API Endpoint: Refresh Session ---
+app.post('/api/auth/refresh', validateBody(refreshTokenSchema), (req, res) => {
+    const { refreshToken } = req.body;
+
+    const storedToken = refreshTokensStore.get(hashToken(refreshToken));
+    if (!storedToken) {
+        return sendError(res, 401, 'SESSION_EXPIRED', 'Session has expired. Please verify your phone number again.');
+    }
+
+    // Rotate: the presented refresh token can only be used once
+    refreshTokensStore.remove(storedToken.id);
+    if (new Date(storedToken.expiresAt).getTime() < Date.now()) {
+        return sendError(res, 401, 'SESSION_EXPIRED', 'Session has expired. Please verify your phone number again.');
+    }
+
+    res.json(issueSessionTokens(storedToken.phoneNumber));
+});
+
+// --- API Endpoint: Logout ---
+app.post('/api/auth/logout', validateBody(refreshTokenSchema), (req, res) => {
+    const { refreshToken } = req.body;
+
+    refreshTokensStore.remove(hashToken(refreshToken));
+    res.json({ message: 'Logged out successfully.' });
+});
+
+// --- SMS Templates ---
+// One template per customer notification, with a variant per supported language. Placeholders are
+// {{name}} or {{name:format}}, where format is `currency` (INR amounts) or `date` (YYYY-MM-DD dates);
+// values come from toBookingDetails(). Languages without a variant fall back to English.
+const SUPPORTED_LANGUAGES = ['en', 'ta', 'hi', 'te'];
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_LOCALES = { en: 'en-IN', ta: 'ta-IN', hi: 'hi-IN', te: 'te-IN' };
+
+const SMS_TEMPLATES = {
+    booking_confirmed: {
+        en: 'Fasttrack Drop Taxi Booking Confirmed! ID: {{bookingId}} From: {{pickup}} To: {{dropoff}} Date: {{pickupDate:date}} {{pickupTime}} Fare: {{fare:currency}} Paid: {{amountPaid:currency}} Balance: {{balance:currency}} Thank you for booking our cab service!',
+        ta: 'Fasttrack Drop Taxi முன்பதிவு உறுதி செய்யப்பட்டது! ID: {{bookingId}} புறப்படும் இடம்: {{pickup}} சேருமிடம்: {{dropoff}} தேதி: {{pickupDate:date}} {{pickupTime}} கட்டணம்: {{fare:currency}} செலுத்தியது: {{amountPaid:currency}} மீதம்: {{balance:currency}} எங்கள் கேப் சேவையை முன்பதிவு செய்ததற்கு நன்றி!',
+        hi: 'Fasttrack Drop Taxi बुकिंग कन्फर्म! ID: {{bookingId}} से: {{pickup}} तक: {{dropoff}} तारीख: {{pickupDate:date}} {{pickupTime}} किराया: {{fare:currency}} भुगतान: {{amountPaid:currency}} बाकी: {{balance:currency}} हमारी कैब सेवा बुक करने के लिए धन्यवाद!',
+        te: 'Fasttrack Drop Taxi బుకింగ్ నిర్ధారించబడింది! ID: {{bookingId}} నుండి: {{pickup}} వరకు: {{dropoff}} తేదీ: {{pickupDate:date}} {{pickupTime}} ఛార్జీ: {{fare:currency}} చెల్లించినది: {{amountPaid:currency}} బాకీ: {{balance:currency}} మా క్యాబ్ సేవను బుక్ చేసినందుకు ధన్యవాదాలు!',
+    },
+    driver_assigned: {
+        en: 'Fasttrack Drop Taxi: Driver assigned for booking {{bookingId}}. Driver: {{driverName}} ({{driverVehicle}}) Driver Phone: {{driverPhone}} Pickup: {{pickupDate:date}} {{pickupTime}} from {{pickup}} Track: {{trackingUrl}} Have a safe trip!',
+        ta: 'Fasttrack Drop Taxi: முன்பதிவு {{bookingId}}-க்கு ஓட்டுநர் நியமிக்கப்பட்டார். ஓட்டுநர்: {{driverName}} ({{driverVehicle}}) தொலைபேசி: {{driverPhone}} புறப்பாடு: {{pickupDate:date}} {{pickupTime}}, {{pickup}}. நேரலையில் பார்க்க: {{trackingUrl}} பாதுகாப்பான பயணம்!',
+        hi: 'Fasttrack Drop Taxi: बुकिंग {{bookingId}} के लिए ड्राइवर नियुक्त। ड्राइवर: {{driverName}} ({{driverVehicle}}) फ़ोन: {{driverPhone}} पिकअप: {{pickupDate:date}} {{pickupTime}}, {{pickup}} से। ट्रैक करें: {{trackingUrl}} आपकी यात्रा सुरक्षित हो!',
+        te: 'Fasttrack Drop Taxi: బుకింగ్ {{bookingId}} కోసం డ్రైవర్ కేటాయించబడ్డారు. డ్రైవర్: {{driverName}} ({{driverVehicle}}) ఫోన్: {{driverPhone}} పికప్: {{pickupDate:date}} {{pickupTime}}, {{pickup}} నుండి. ట్రాక్ చేయండి: {{trackingUrl}} మీ ప్రయాణం సురక్షితంగా సాగాలి!',
+    },
+    trip_reminder: {
+        en: 'Fasttrack Drop Taxi Reminder: your trip {{bookingId}} from {{pickup}} to {{dropoff}} starts on {{pickupDate:date}} at {{pickupTime}}. Driver: {{driverName}} ({{driverVehicle}})',
+        ta: 'Fasttrack Drop Taxi நினைவூட்டல்: உங்கள் பயணம் {{bookingId}} ({{pickup}} முதல் {{dropoff}} வரை) {{pickupDate:date}} அன்று {{pickupTime}} மணிக்கு தொடங்கும். ஓட்டுநர்: {{driverName}} ({{driverVehicle}})',
+        hi: 'Fasttrack Drop Taxi रिमाइंडर: आपकी यात्रा {{bookingId}} ({{pickup}} से {{dropoff}}) {{pickupDate:date}} को {{pickupTime}} बजे शुरू होगी। ड्राइवर: {{driverName}} ({{driverVehicle}})',
+        te: 'Fasttrack Drop Taxi రిమైండర్: మీ ప్రయాణం {{bookingId}} ({{pickup}} నుండి {{dropoff}}) {{pickupDate:date}} న {{pickupTime}} కి ప్రారంభమవుతుంది. డ్రైవర్: {{driverName}} ({{driverVehicle}})',
+    },
+    booking_cancelled: {
+        en: 'Fasttrack Drop Taxi Booking Cancelled. ID: {{bookingId}} From: {{pickup}} To: {{dropoff}} Date: {{pickupDate:date}} {{pickupTime}} Cancellation Fee: {{cancellationFee:currency}} Refundable: {{refundableAmount:currency}}',
+        ta: 'Fasttrack Drop Taxi முன்பதிவு ரத்து செய்யப்பட்டது. ID: {{bookingId}} புறப்படும் இடம்: {{pickup}} சேருமிடம்: {{dropoff}} தேதி: {{pickupDate:date}} {{pickupTime}} ரத்து கட்டணம்: {{cancellationFee:currency}} திருப்பித் தரப்படும் தொகை: {{refundableAmount:currency}}',
+        hi: 'Fasttrack Drop Taxi बुकिंग रद्द। ID: {{bookingId}} से: {{pickup}} तक: {{dropoff}} तारीख: {{pickupDate:date}} {{pickupTime}} रद्दीकरण शुल्क: {{cancellationFee:currency}} वापसी योग्य राशि: {{refundableAmount:currency}}',
+        te: 'Fasttrack Drop Taxi బుకింగ్ రద్దు చేయబడింది. ID: {{bookingId}} నుండి: {{pickup}} వరకు: {{dropoff}} తేదీ: {{pickupDate:date}} {{pickupTime}} రద్దు రుసుము: {{cancellationFee:currency}} తిరిగి చెల్లించే మొత్తం: {{refundableAmount:currency}}',
+    },
+    trip_completed: {
+        en: 'Fasttrack Drop Taxi Trip Completed! ID: {{bookingId}} From: {{pickup}} To: {{dropoff}} Fare: {{fare:currency}} (incl. tolls {{tolls:currency}}) Invoice: {{invoiceUrl}} Thank you for travelling with us!',
+        ta: 'Fasttrack Drop Taxi பயணம் நிறைவடைந்தது! ID: {{bookingId}} புறப்படும் இடம்: {{pickup}} சேருமிடம்: {{dropoff}} கட்டணம்: {{fare:currency}} (சுங்கக் கட்டணம் {{tolls:currency}} உட்பட) விலைப்பட்டியல்: {{invoiceUrl}} எங்களுடன் பயணித்ததற்கு நன்றி!',
+        hi: 'Fasttrack Drop Taxi यात्रा पूरी हुई! ID: {{bookingId}} से: {{pickup}} तक: {{dropoff}} किराया: {{fare:currency}} (टोल {{tolls:currency}} सहित) इनवॉइस: {{invoiceUrl}} हमारे साथ यात्रा करने के लिए धन्यवाद!',
+        te: 'Fasttrack Drop Taxi ప్రయాణం పూర్తయింది! ID: {{bookingId}} నుండి: {{pickup}} వరకు: {{dropoff}} ఛార్జీ: {{fare:currency}} (టోల్ {{tolls:currency}} తో సహా) ఇన్వాయిస్: {{invoiceUrl}} మాతో ప్రయాణించినందుకు ధన్యవాదాలు!',
+    },
+    // Goes to the referrer, not the booking's customer, and we hold no language for them
+    referral_reward: {
+        en: 'Fasttrack Drop Taxi: A friend you referred has completed their trip! Use code {{rewardCode}} for {{rewardAmount:currency}} off your next ride, valid until {{rewardValidUntil:date}}.',
+    },
+};
+
+// Messages longer than this many segments are refused rather than sent (and billed) in pieces
+const SMS_MAX_SEGMENTS = Number(process.env.SMS_MAX_SEGMENTS || 6);
+
+const normaliseLanguage = (language) => {
+    const code = String(language || '').trim().toLowerCase().slice(0, 2);
+    return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+};
 
-    if (!phoneNumber || !bookingDetails) {
-        return res.status(400).json({ message: 'Phone number and booking details are required.' });
-    }
-
-    try {
-        // Prepare the message content - customize as needed
-        const messageBody = `
-            Fasttrack Drop Taxi Booking Confirmed!
-            ID: ${bookingDetails.bookingId || 'N/A'}
-            From: ${bookingDetails.pickup || 'N/A'}
-            To: ${bookingDetails.dropoff || 'N/A'}
-            Date: ${bookingDetails.pickupDate || 'N/A'} ${bookingDetails.pickupTime || 'N/A'}
-            Fare: ₹${bookingDetails.fareDetails?.total?.toFixed(2) || 'N/A'}
-            Thank you for booking our cab service!
-        `.replace(/^\s*\n|\n\s*$/g, '').replace(/\s+/g, ' ').trim(); // Clean up extra spaces/lines
-        // const messageBody = `
-        //     Fasttrack Drop Taxi Booking Confirmed!
-        //     ID: ${bookingDetails.bookingId || 'N/A'}
-        //     From: ${bookingDetails.pickup || 'N/A'}
-        //     To: ${bookingDetails.dropoff || 'N/A'}
-        //     Date: ${bookingDetails.pickupDate || 'N/A'} ${bookingDetails.pickupTime || 'N/A'}
-        //     Fare: ₹${bookingDetails.fareDetails?.total?.toFixed(2) || 'N/A'}
-        //     Driver: ${bookingDetails.driverName || 'Assigned Soon'} (${bookingDetails.driverVehicle || 'N/A'})
-        //     Thank you for booking our cab service!
-        // `.replace(/^\s*\n|\n\s*$/g, '').replace(/\s+/g, ' ').trim(); // Clean up extra spaces/lines
-
-        console.log(`Sending booking confirmation SMS to ${phoneNumber} with message: ${messageBody}`);
-
-        const formattedPhoneNumber = formatPhoneNumberForTwilio(phoneNumber);
-
-        if (!formattedPhoneNumber) {
-            return res.status(400).json({ message: 'Invalid phone number format for SMS.' });
+const SMS_VALUE_FORMATTERS = {
+    // '₹' is outside GSM-7 and would push English messages into UCS-2 (70 chars per segment),
+    // so English spells it 'Rs.'; the other languages are UCS-2 anyway.
+    currency: (value, locale) => {
+        if (typeof value !== 'number') return null;
+        if (locale === LANGUAGE_LOCALES.en) {
+            return `Rs.${new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value)}`;
         }
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: 'INR' }).format(value);
+    },
+    date: (value, locale) => {
+        const timestamp = Date.parse(value);
+        if (isNaN(timestamp)) return value;
+        // Dates are calendar dates without a zone; format them in UTC so they never shift a day
+        return new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }).format(timestamp);
+    },
+};
+
+// GSM 03.38 basic character set; the extension set costs two septets per character
+const GSM7_BASIC_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED_CHARS = '^{}\\[~]|€\f';
+
+// Returns the encoding a carrier will use for `text` and how many SMS segments it will be split into
+const analyseSmsEncoding = (text) => {
+    const chars = Array.from(text);
+    const isGsm7 = chars.every((char) => GSM7_BASIC_CHARS.includes(char) || GSM7_EXTENDED_CHARS.includes(char));
+
+    if (isGsm7) {
+        const length = chars.reduce((total, char) => total + (GSM7_EXTENDED_CHARS.includes(char) ? 2 : 1), 0);
+        return { encoding: 'GSM-7', length, segments: length <= 160 ? 1 : Math.ceil(length / 153) };
+    }
+
+    const length = text.length; // UTF-16 code units
+    return { encoding: 'UCS-2', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+};
+
+const getTemplateValues = (bookingDetails) => ({
+    bookingId: bookingDetails.bookingId,
+    pickup: bookingDetails.pickup,
+    dropoff: bookingDetails.dropoff,
+    pickupDate: bookingDetails.pickupDate,
+    pickupTime: bookingDetails.pickupTime,
+    fare: bookingDetails.fareDetails?.total,
+    tolls: bookingDetails.fareDetails?.tollAmount ?? 0,
+    // Bookings without a payment record (and legacy client-sent details) are unpaid
+    amountPaid: bookingDetails.payment?.amountPaid ?? 0,
+    balance: bookingDetails.payment?.balance ?? bookingDetails.fareDetails?.total,
+    driverName: bookingDetails.driverName,
+    driverPhone: bookingDetails.driverPhone,
+    driverVehicle: bookingDetails.driverVehicle,
+    cancellationFee: bookingDetails.cancellation?.cancellationFee ?? 0,
+    refundableAmount: bookingDetails.cancellation?.refundableAmount ?? 0,
+    invoiceUrl: bookingDetails.invoiceUrl,
+    trackingUrl: bookingDetails.trackingUrl,
+    rewardCode: bookingDetails.rewardCode,
+    rewardAmount: bookingDetails.rewardAmount,
+    rewardValidUntil: bookingDetails.rewardValidUntil,
+});
+
+// Renders a template in the booking's language. Throws when the template is unknown or the result
+// would exceed SMS_MAX_SEGMENTS.
+const renderSmsTemplate = (templateName, bookingDetails) => {
+    const variants = SMS_TEMPLATES[templateName];
+    if (!variants) {
+        throw new Error(`Unknown SMS template: ${templateName}`);
+    }
+
+    const requestedLanguage = normaliseLanguage(bookingDetails.language);
+    const language = variants[requestedLanguage] ? requestedLanguage : DEFAULT_LANGUAGE;
+    const locale = LANGUAGE_LOCALES[language];
+    const values = getTemplateValues(bookingDetails);
 
-        if (!TWILIO_PHONE_NUMBER) {
-            console.error('TWILIO_PHONE_NUMBER is not set in environment variables.');
-            return res.status(500).json({ message: 'Server configuration error: Twilio phone number for sending SMS is missing.' });
+    const body = variants[language].replace(/\{\{(\w+)(?::(\w+))?\}\}/g, (match, name, format) => {
+        let value = values[name];
+        if (format && SMS_VALUE_FORMATTERS[format] && value !== undefined && value !== null) {
+            value = SMS_VALUE_FORMATTERS[format](value, locale);
         }
+        return value === undefined || value === null || value === '' ? '-' : String(value);
+    });
 
-        await twilioClient.messages.create({
-            body: messageBody,
-            to: formattedPhoneNumber,
-            from: TWILIO_PHONE_NUMBER, // Your Twilio phone number (must be configured in .env)
-        });
+    const { encoding, segments } = analyseSmsEncoding(body);
+    if (segments > SMS_MAX_SEGMENTS) {
+        logger.error('SMS template renders past the segment limit', { template: templateName, language, encoding, segments, limit: SMS_MAX_SEGMENTS });
+        throw createApiError(422, 'SMS_TOO_LONG', 'Booking details are too long to fit in an SMS.');
+    }
+
+    return { body, language, encoding, segments };
+};
+
+// --- Outbound Message Log ---
+// Every SMS we send is recorded with its provider SID so delivery status callbacks can be matched
+// back to it. Twilio only calls back when it knows our public URL (PUBLIC_BASE_URL).
+const messagesStore = createJsonFileStore('messages');
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const TWILIO_STATUS_WEBHOOK_PATH = '/api/webhooks/twilio/status';
+const FINAL_MESSAGE_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+// meta: { bookingId, template, language, resendOf } — all optional. Resolves with the provider
+// result plus `messageId`, the id of the message log record.
+const sendSms = async (phoneNumber, messageBody, meta = {}) => {
+    const formattedPhoneNumber = formatPhoneNumberForTwilio(phoneNumber);
+    if (!formattedPhoneNumber) {
+        throw createApiError(400, 'INVALID_PHONE_NUMBER', 'Invalid phone number format for SMS.');
+    }
+    if (!isAllowedDestination(formattedPhoneNumber)) {
+        throw createApiError(400, 'UNSUPPORTED_COUNTRY', 'SMS cannot be sent to phone numbers from this country.');
+    }
+
+    const now = new Date().toISOString();
+    const message = {
+        id: generateId('MSG'),
+        sid: null,
+        provider: messagingProvider.name,
+        to: formattedPhoneNumber,
+        bookingId: meta.bookingId || null,
+        template: meta.template || null,
+        language: meta.language || null,
+        resendOf: meta.resendOf || null,
+        body: messageBody,
+        status: 'queued',
+        errorCode: null,
+        errorMessage: null,
+        statusHistory: [],
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    logger.info('Sending SMS', { messageId: message.id, to: formattedPhoneNumber, bookingId: message.bookingId, template: message.template });
+    try {
+        const statusCallback = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}${TWILIO_STATUS_WEBHOOK_PATH}` : undefined;
+        const result = await messagingProvider.sendSms(formattedPhoneNumber, messageBody, { statusCallback });
+        message.sid = result.sid;
+        message.status = result.status || 'sent';
+        message.statusHistory.push({ status: message.status, at: new Date().toISOString() });
+        messagesStore.save(message);
+        metrics.smsMessages.inc({ template: message.template || 'none', result: 'sent' });
+        return { ...result, messageId: message.id };
+    } catch (error) {
+        message.status = 'failed';
+        message.errorCode = error.code ? String(error.code) : null;
+        message.errorMessage = error.message || 'Unknown error';
+        message.statusHistory.push({ status: 'failed', at: new Date().toISOString() });
+        messagesStore.save(message);
+        metrics.smsMessages.inc({ template: message.template || 'none', result: 'failed' });
+        throw error;
+    }
+};
+
+const sendTemplatedSms = async (phoneNumber, templateName, bookingDetails) => {
+    const { body, language, encoding, segments } = renderSmsTemplate(templateName, bookingDetails);
+    logger.debug('Rendered SMS template', { template: templateName, language, encoding, segments });
+    return sendSms(phoneNumber, body, { bookingId: bookingDetails.bookingId, template: templateName, language });
+};
+
+const sendBookingConfirmationSms = async (phoneNumber, bookingDetails) => {
+    await sendTemplatedSms(phoneNumber, 'booking_confirmed', bookingDetails);
+    logger.info('Booking confirmation SMS sent', { bookingId: bookingDetails.bookingId });
+};
+
+const sendCancellationSms = async (phoneNumber, bookingDetails) => {
+    await sendTemplatedSms(phoneNumber, 'booking_cancelled', bookingDetails);
+    logger.info('Booking cancellation SMS sent', { bookingId: bookingDetails.bookingId });
+};
+
+// --- API Endpoint: Send Booking Confirmation SMS (Messaging Provider) ---
+// Legacy client-driven confirmation. Bookings created through /api/bookings send this SMS
+// automatically when they move to `confirmed`.
+app.post('/api/send-booking-sms',
+    rateLimit('smsPerIp', byIp, SMS_RATE_LIMIT_MESSAGE),
+    requireAuth,
+    rateLimit('smsPerPhone', (req) => req.auth.phoneNumber, SMS_RATE_LIMIT_MESSAGE),
+    validateBody({
+        phoneNumber: { type: 'string', required: true, format: 'phone' },
+        bookingDetails: {
+            type: 'object',
+            required: true,
+            properties: {
+                bookingId: { type: 'string', required: true, maxLength: 40 },
+                pickup: { type: 'string', required: true, maxLength: 200 },
+                dropoff: { type: 'string', required: true, maxLength: 200 },
+                pickupDate: { type: 'string', required: true, format: 'date' },
+                pickupTime: { type: 'string', required: true, format: 'time' },
+                fareDetails: {
+                    type: 'object',
+                    required: true,
+                    properties: { total: { type: 'number', required: true, min: 0 } },
+                },
+                language: { type: 'string', enum: SUPPORTED_LANGUAGES },
+            },
+        },
+    }),
+    async (req, res) => {
+    const { phoneNumber, bookingDetails } = req.body;
+
+    const formattedPhoneNumber = formatPhoneNumberForTwilio(phoneNumber);
+    if (!isAllowedDestination(formattedPhoneNumber)) {
+        return sendError(res, 400, 'UNSUPPORTED_COUNTRY', 'SMS cannot be sent to phone numbers from this country.');
+    }
+
+    if (formattedPhoneNumber !== req.auth.phoneNumber) {
+        return sendError(res, 403, 'FORBIDDEN', 'Booking SMS can only be sent to your verified phone number.');
+    }
 
-        console.log('Booking confirmation SMS sent successfully!');
+    try {
+        await sendBookingConfirmationSms(phoneNumber, bookingDetails);
         res.status(200).json({ message: 'Booking confirmation SMS sent.' });
     } catch (error) {
-        console.error('Error sending booking confirmation SMS via Twilio:', error);
-        let errorMessage = 'Failed to send booking confirmation SMS.';
-        if (error.status && error.message) {
-            errorMessage = `Twilio API Error (${error.status}): ${error.message}`;
-        }
-        res.status(500).json({ message: errorMessage });
+        logger.error('Error sending booking confirmation SMS', { error });
+        if (error.expose) return sendApiError(res, error);
+        sendMessagingError(res, error, 'Failed to send booking confirmation SMS.');
     }
 });
 
 
-// --- API Endpoint for Toll Calculation (Google Maps Routes API) ---
-app.post('/api/get-tolls', async (req, res) => {
-    const { pickup, dropoff, distance, vehicleType } = req.body;
+// --- Vehicle Toll Profiles ---
+// Google prices tolls for a private car. Each vehicle type maps to the Routes API emission type
+// and to a multiplier for its NHAI toll class (car/jeep/van = 1, LCV/minibus ≈ 1.6).
+// Override with a VEHICLE_TOLL_PROFILES_JSON environment variable holding the same shape.
+const DEFAULT_VEHICLE_TOLL_PROFILES = {
+    sedan: { emissionType: 'DIESEL', tollMultiplier: 1 },
+    etios: { emissionType: 'DIESEL', tollMultiplier: 1 },
+    suv: { emissionType: 'DIESEL', tollMultiplier: 1 },
+    innova: { emissionType: 'DIESEL', tollMultiplier: 1 },
+    tempo_traveller: { emissionType: 'DIESEL', tollMultiplier: 1.6 },
+};
+const DEFAULT_TOLL_VEHICLE_TYPE = 'sedan';
+
+let VEHICLE_TOLL_PROFILES = DEFAULT_VEHICLE_TOLL_PROFILES;
+if (process.env.VEHICLE_TOLL_PROFILES_JSON) {
+    try {
+        VEHICLE_TOLL_PROFILES = { ...DEFAULT_VEHICLE_TOLL_PROFILES, ...JSON.parse(process.env.VEHICLE_TOLL_PROFILES_JSON) };
+    } catch (error) {
+        logger.error('ERROR: VEHICLE_TOLL_PROFILES_JSON is not valid JSON. Falling back to the default toll profiles.', { error: error.message });
+    }
+}
 
-    console.log('Received toll request:', { pickup, dropoff, distance, vehicleType });
+// Accepts the labels the app sends ("Tempo Traveller", "SUV") as well as the keys themselves
+const normaliseVehicleType = (vehicleType) =>
+    vehicleType ? String(vehicleType).trim().toLowerCase().replace(/[\s-]+/g, '_') : DEFAULT_TOLL_VEHICLE_TYPE;
 
-    if (!pickup || !dropoff) {
-        return res.status(400).json({ message: 'Pickup and dropoff locations are required.' });
+// --- Google Routes Helper ---
+// Calls computeRoutes for an ordered list of stops (origin, intermediates..., destination) and returns
+// the distance and duration of the first route plus its tolls, overall and per leg, scaled by the
+// vehicle's toll multiplier. Throws ROUTE_NOT_FOUND when Google cannot resolve the stops and
+// ROUTE_LOOKUP_FAILED for any other upstream failure.
+// GOOGLE_ROUTES_API_URL points the Routes calls (and the /ready check) at a stub for local testing
+const ROUTES_API_URL = process.env.GOOGLE_ROUTES_API_URL || 'https://routes.googleapis.com/directions/v2:computeRoutes';
+
+// Sums a tollInfo.estimatedPrice list (google.type.Money) into { [currencyCode]: amount }
+const sumTollPrices = (estimatedPrice = [], multiplier = 1) => {
+    const totals = {};
+    estimatedPrice.forEach((price) => {
+        // Explicitly convert units and nanos to numbers, defaulting to 0 if invalid
+        const units = Number(price.units) || 0;
+        const nanos = Number(price.nanos) || 0;
+        totals[price.currencyCode] = (totals[price.currencyCode] || 0) + units + nanos / 1_000_000_000;
+    });
+    Object.keys(totals).forEach((currencyCode) => {
+        totals[currencyCode] = parseFloat((totals[currencyCode] * multiplier).toFixed(2));
+    });
+    return totals;
+};
+
+// A stop with coordinates (a driver's position) or a place ID is routed to exactly that point;
+// otherwise Google geocodes the text
+const toRoutesWaypoint = (stop) => {
+    if (stop.location) {
+        return { location: { latLng: { latitude: stop.location.lat, longitude: stop.location.lng } } };
     }
+    return stop.placeId ? { placeId: stop.placeId } : { address: stop.address };
+};
 
-    const routesApiUrl = 'https://routes.googleapis.com/directions/v2:computeRoutes';
+const fetchRouteDetails = async ({ stops, vehicleType }) => {
+    const tollProfile = VEHICLE_TOLL_PROFILES[normaliseVehicleType(vehicleType)] || VEHICLE_TOLL_PROFILES[DEFAULT_TOLL_VEHICLE_TYPE];
 
-    try {
-        const googleRequestBody = {
-            origin: {
-                address: pickup,
-            },
-            destination: {
-                address: dropoff,
-            },
-            travelMode: 'DRIVE',
-            routingPreference: 'TRAFFIC_AWARE_OPTIMAL',
-            computeAlternativeRoutes: false,
-            routeModifiers: {
-                avoidTolls: false,
-                avoidHighways: false,
-                // --- Re-added the correct FASTag toll pass ---
-                tollPasses: ['IN_FASTAG'], // Use the correct Google API enumeration for Indian FASTag
-                // --- End re-added line ---
-                // You can add vehicleInfo for more precise calculation if needed
-                // vehicleInfo: { emissionType: 'GASOLINE' }, // Example
-            },
-            extraComputations: ['TOLLS'], // Crucial for getting toll information
-        };
+    const googleRequestBody = {
+        origin: toRoutesWaypoint(stops[0]),
+        destination: toRoutesWaypoint(stops[stops.length - 1]),
+        // Non-via intermediates split the route into one leg per stop
+        intermediates: stops.slice(1, -1).map((stop) => ({ ...toRoutesWaypoint(stop), via: false })),
+        travelMode: 'DRIVE',
+        routingPreference: 'TRAFFIC_AWARE_OPTIMAL',
+        computeAlternativeRoutes: false,
+        routeModifiers: {
+            avoidTolls: false,
+            avoidHighways: false,
+            tollPasses: ['IN_FASTAG'], // Use the correct Google API enumeration for Indian FASTag
+            vehicleInfo: { emissionType: tollProfile.emissionType },
+        },
+        extraComputations: ['TOLLS'], // Crucial for getting toll information
+    };
 
-        const googleResponse = await fetch(routesApiUrl, {
+    let googleResponse;
+    try {
+        googleResponse = await fetch(ROUTES_API_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Goog-Api-Key': GOOGLE_ROUTES_API_KEY,
-                'X-Goog-FieldMask': 'routes.duration,routes.distanceMeters,routes.travelAdvisory.tollInfo',
+                'X-Goog-FieldMask': 'routes.duration,routes.distanceMeters,routes.travelAdvisory.tollInfo,routes.legs.distanceMeters,routes.legs.duration,routes.legs.travelAdvisory.tollInfo',
             },
             body: JSON.stringify(googleRequestBody),
         });
+    } catch (error) {
+        logger.error('Google Routes API request failed', { error });
+        metrics.routesApiRequests.inc({ outcome: 'network_error' });
+        throw createApiError(502, 'ROUTE_LOOKUP_FAILED', 'Route lookup is temporarily unavailable. Please try again.');
+    }
 
-        if (!googleResponse.ok) {
-            let errorData = {};
-            try {
-                errorData = await googleResponse.json();
-            } catch (e) {
-                errorData = { message: 'Could not parse error response from Google API.' };
-            }
-            console.error('Google Routes API error response:', googleResponse.status, errorData);
-            return res.status(googleResponse.status).json({
-                message: 'Error fetching route from Google Maps API',
-                details: errorData.error ? errorData.error.message : (errorData.message || 'Unknown error from Google API'),
-            });
-        }
+    metrics.routesApiRequests.inc({
+        outcome: googleResponse.ok ? 'success' : (googleResponse.status < 500 ? 'client_error' : 'server_error'),
+    });
 
-        const data = await googleResponse.json();
-        // Uncomment the line below for full Google API response debugging:
-        // console.log('Google API raw response data:', JSON.stringify(data, null, 2));
-
-        let calculatedToll = 0;
-
-        if (data.routes && data.routes.length > 0) {
-            const firstRoute = data.routes[0];
-            if (firstRoute.travelAdvisory && firstRoute.travelAdvisory.tollInfo && firstRoute.travelAdvisory.tollInfo.estimatedPrice) {
-                firstRoute.travelAdvisory.tollInfo.estimatedPrice.forEach((price) => {
-                    if (price.currencyCode === 'INR') {
-                        // Explicitly convert units and nanos to numbers, defaulting to 0 if invalid
-                        const units = Number(price.units) || 0;
-                        const nanos = Number(price.nanos) || 0;
-
-                        console.log(`Processing price: raw units=${price.units}, raw nanos=${price.nanos}, converted units=${units}, converted nanos=${nanos}`);
-
-                        if (!isNaN(units) && !isNaN(nanos)) {
-                            calculatedToll += units + nanos / 1_000_000_000;
-                            console.log(`Added: ${units} + ${nanos/1_000_000_000}. Current calculatedToll: ${calculatedToll}`);
-                        } else {
-                            console.warn(`Skipping price entry for INR due to non-numeric parts after explicit conversion: units=${units} (from ${price.units}), nanos=${nanos} (from ${price.nanos})`);
-                        }
-                    }
-                });
-            } else {
-                console.warn('Google Routes API response: No estimatedPrice or tollInfo found for the route.');
-            }
-        } else {
-            console.warn('Google Routes API response: No routes found or data is empty.');
+    if (!googleResponse.ok) {
+        let errorData = {};
+        try {
+            errorData = await googleResponse.json();
+        } catch (e) {
+            errorData = { message: 'Could not parse error response from Google API.' };
         }
+        logger.error('Google Routes API error response', { status: googleResponse.status, response: errorData });
+        // 400/404 mean Google could not resolve the addresses; anything else is our key, quota or Google itself
+        if (googleResponse.status === 400 || googleResponse.status === 404) {
+            throw createApiError(422, 'ROUTE_NOT_FOUND', 'Could not find a driving route between these locations.');
+        }
+        throw createApiError(502, 'ROUTE_LOOKUP_FAILED', 'Route lookup is temporarily unavailable. Please try again.');
+    }
+
+    const data = await googleResponse.json();
+    logger.debug('Google Routes API raw response', { response: data });
+
+    let distanceMeters = 0;
+    let duration = null;
+    let tollCurrencies = {};
+    let legs = [];
+
+    if (data.routes && data.routes.length > 0) {
+        const firstRoute = data.routes[0];
+        distanceMeters = Number(firstRoute.distanceMeters) || 0;
+        duration = firstRoute.duration || null;
+
+        if (firstRoute.travelAdvisory && firstRoute.travelAdvisory.tollInfo && firstRoute.travelAdvisory.tollInfo.estimatedPrice) {
+            tollCurrencies = sumTollPrices(firstRoute.travelAdvisory.tollInfo.estimatedPrice, tollProfile.tollMultiplier);
+        } else {
+            logger.warn('Google Routes API response: No estimatedPrice or tollInfo found for the route.');
+        }
+
+        // The Routes API does not itemise individual toll plazas; per-leg tolls are the finest detail it returns.
+        legs = (firstRoute.legs || []).map((leg, legIndex) => {
+            const legTollCurrencies = sumTollPrices(leg.travelAdvisory?.tollInfo?.estimatedPrice, tollProfile.tollMultiplier);
+            return {
+                legIndex,
+                from: stops[legIndex].address,
+                to: stops[legIndex + 1].address,
+                distanceMeters: Number(leg.distanceMeters) || 0,
+                duration: leg.duration || null,
+                tollAmount: legTollCurrencies.INR || 0,
+                tollCurrencies: legTollCurrencies,
+            };
+        });
+    } else {
+        logger.warn('Google Routes API response: No routes found or data is empty.', { stopCount: stops.length });
+    }
+
+    let calculatedToll = tollCurrencies.INR || 0;
+    // Final type safeguard before handing the toll back
+    if (typeof calculatedToll !== 'number' || isNaN(calculatedToll)) {
+        logger.error('CRITICAL: calculatedToll is not a valid number! Resetting to 0.');
+        calculatedToll = 0;
+    }
+
+    return {
+        distanceMeters,
+        duration,
+        tollAmount: parseFloat(calculatedToll.toFixed(2)),
+        tollMultiplier: tollProfile.tollMultiplier,
+        tollCurrencies,
+        legs,
+    };
+};
+
+// --- Trip Stops ---
+// one-way: pickup → waypoints → dropoff. round-trip and multi-day also drive back to the pickup,
+// so the return leg (and its tolls) is routed instead of assumed to mirror the outbound one.
+// Each stop is { field, address, placeId }, where field names the request field it came from.
+const TRIP_TYPES = ['one-way', 'round-trip', 'multi-day'];
+const MAX_WAYPOINTS = 8;
+
+const buildTripStops = ({ pickup, dropoff, waypoints = [], tripType, pickupPlaceId, dropoffPlaceId, waypointPlaceIds = [] }) => {
+    const stops = [
+        { field: 'pickup', address: pickup, placeId: pickupPlaceId || null },
+        ...waypoints.map((address, index) => ({ field: `waypoints[${index}]`, address, placeId: waypointPlaceIds[index] || null })),
+        { field: 'dropoff', address: dropoff, placeId: dropoffPlaceId || null },
+    ];
+    return tripType === 'one-way' ? stops : [...stops, stops[0]];
+};
+
+const MAX_ADDRESS_LENGTH = 200;
+const MAX_PLACE_ID_LENGTH = 512;
+
+// Body rules shared by the endpoints that route a trip; tripType defaults to one-way
+const TRIP_STOPS_SCHEMA = {
+    pickup: { type: 'string', required: true, maxLength: MAX_ADDRESS_LENGTH },
+    dropoff: { type: 'string', required: true, maxLength: MAX_ADDRESS_LENGTH },
+    waypoints: { type: 'array', maxItems: MAX_WAYPOINTS, items: { type: 'string', maxLength: MAX_ADDRESS_LENGTH } },
+    tripType: { type: 'string', enum: TRIP_TYPES },
+    // Place IDs from /api/places/autocomplete pin stops to exact places; the text is still shown
+    pickupPlaceId: { type: 'string', maxLength: MAX_PLACE_ID_LENGTH },
+    dropoffPlaceId: { type: 'string', maxLength: MAX_PLACE_ID_LENGTH },
+    waypointPlaceIds: {
+        type: 'array',
+        items: { type: 'string', maxLength: MAX_PLACE_ID_LENGTH },
+        check: (value, body) => (value.length !== (body.waypoints || []).length
+            ? 'waypointPlaceIds must have one entry per waypoint.'
+            : null),
+    },
+};
+
+// vehicleType arrives as a label ("Tempo Traveller"), so the enum is checked after normalising it
+const vehicleTypeRule = (knownTypes, { required = false } = {}) => ({
+    type: 'string',
+    required,
+    check: (value) => (knownTypes[normaliseVehicleType(value)]
+        ? null
+        : `vehicleType must be one of: ${Object.keys(knownTypes).join(', ')}.`),
+});
+
+// --- Route Cache ---
+// Caches distance, duration and toll totals per normalised stop list and vehicle type for
+// ROUTE_CACHE_TTL_MINUTES. Identical lookups that arrive while one is in flight share its
+// upstream call instead of issuing their own.
+const ROUTE_CACHE_TTL_MINUTES = Number(process.env.ROUTE_CACHE_TTL_MINUTES || 60);
+const ROUTE_CACHE_MAX_ENTRIES = Number(process.env.ROUTE_CACHE_MAX_ENTRIES || 1000);
+const routeCache = new Map(); // key -> { value, expiresAt }
+const inFlightRouteLookups = new Map(); // key -> Promise
+
+const normaliseRouteKeyPart = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ',');
+
+// Place IDs are case-sensitive, so they are kept as they are
+const getRouteCacheKey = ({ stops, vehicleType }) => [
+    ...stops.map((stop) => (stop.placeId ? `#${stop.placeId}` : normaliseRouteKeyPart(stop.address))),
+    normaliseRouteKeyPart(normaliseVehicleType(vehicleType)),
+].join('|');
+
+const getRouteDetails = async ({ stops, vehicleType }) => {
+    const key = getRouteCacheKey({ stops, vehicleType });
+
+    const cached = routeCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        metrics.routeCacheLookups.inc({ result: 'hit' });
+        return { ...cached.value, cached: true };
+    }
+    metrics.routeCacheLookups.inc({ result: 'miss' });
+    routeCache.delete(key);
+
+    if (!inFlightRouteLookups.has(key)) {
+        const lookup = fetchRouteDetails({ stops, vehicleType })
+            .then((value) => {
+                // Map keeps insertion order, so the first key is the oldest entry
+                if (routeCache.size >= ROUTE_CACHE_MAX_ENTRIES) {
+                    routeCache.delete(routeCache.keys().next().value);
+                }
+                routeCache.set(key, { value, expiresAt: Date.now() + ROUTE_CACHE_TTL_MINUTES * 60 * 1000 });
+                return value;
+            })
+            .finally(() => inFlightRouteLookups.delete(key));
+        inFlightRouteLookups.set(key, lookup);
+    }
+
+    const value = await inFlightRouteLookups.get(key);
+    return { ...value, cached: false };
+};
+
+// --- Places and Geocoding ---
+// Proxies Places Autocomplete (New) and the Geocoding API so the key stays on the server. Places
+// are returned normalised as
+//   { placeId, formattedAddress, location: { lat, lng }, locality, district, state, stateCode, country, postalCode }
+// where stateCode is the GST state code (null outside India). Geocoding results are cached for
+// GEOCODE_CACHE_TTL_MINUTES, and lookups of a place already in flight share the pending call.
+const PLACES_AUTOCOMPLETE_URL = process.env.GOOGLE_PLACES_API_URL || 'https://places.googleapis.com/v1/places:autocomplete';
+const GEOCODING_API_URL = process.env.GOOGLE_GEOCODING_API_URL || 'https://maps.googleapis.com/maps/api/geocode/json';
+const PLACES_REGION_CODE = process.env.PLACES_REGION_CODE || 'in';
+const GEOCODE_CACHE_TTL_MINUTES = Number(process.env.GEOCODE_CACHE_TTL_MINUTES || 24 * 60);
+const GEOCODE_CACHE_MAX_ENTRIES = Number(process.env.GEOCODE_CACHE_MAX_ENTRIES || 1000);
+const PLACES_RATE_LIMIT_MESSAGE = 'Too many place lookups.';
+const geocodeCache = new Map(); // key -> { place: Promise, expiresAt }
+
+const callGoogleMapsApi = async (api, url, options = {}) => {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        // The error message carries the request URL, and the Geocoding API takes its key there
+        logger.error('Google Maps API request failed', { api, errorType: error.type, errorCode: error.code });
+        metrics.placesApiRequests.inc({ api, outcome: 'network_error' });
+        throw createApiError(502, 'PLACE_LOOKUP_FAILED', 'Place lookup is temporarily unavailable. Please try again.');
+    }
+
+    metrics.placesApiRequests.inc({
+        api,
+        outcome: response.ok ? 'success' : (response.status < 500 ? 'client_error' : 'server_error'),
+    });
+
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (e) {
+        data = { message: 'Could not parse response from Google API.' };
+    }
+    if (!response.ok) {
+        logger.error('Google Maps API error response', { api, status: response.status, response: data });
+        throw createApiError(502, 'PLACE_LOOKUP_FAILED', 'Place lookup is temporarily unavailable. Please try again.');
+    }
+    return data;
+};
+
+const fetchPlaceSuggestions = async ({ input, sessionToken, language }) => {
+    const data = await callGoogleMapsApi('autocomplete', PLACES_AUTOCOMPLETE_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': GOOGLE_PLACES_API_KEY,
+        },
+        body: JSON.stringify({ input, sessionToken, languageCode: language, includedRegionCodes: [PLACES_REGION_CODE] }),
+    });
+
+    // Query predictions ("restaurants near...") have no place to route to
+    return (data.suggestions || [])
+        .filter((suggestion) => suggestion.placePrediction)
+        .map(({ placePrediction }) => ({
+            placeId: placePrediction.placeId,
+            description: placePrediction.text?.text || '',
+            mainText: placePrediction.structuredFormat?.mainText?.text || null,
+            secondaryText: placePrediction.structuredFormat?.secondaryText?.text || null,
+        }));
+};
+
+const getAddressComponent = (result, type) =>
+    (result.address_components || []).find((component) => component.types.includes(type));
+
+const toPlace = (result) => {
+    const state = getAddressComponent(result, 'administrative_area_level_1')?.long_name || null;
+    const country = getAddressComponent(result, 'country')?.short_name || null;
+    return {
+        placeId: result.place_id,
+        formattedAddress: result.formatted_address,
+        location: { lat: result.geometry.location.lat, lng: result.geometry.location.lng },
+        locality: (getAddressComponent(result, 'locality') || getAddressComponent(result, 'administrative_area_level_3'))?.long_name || null,
+        district: getAddressComponent(result, 'administrative_area_level_2')?.long_name || null,
+        state,
+        stateCode: country === 'IN' ? getGstStateCode(state) : null,
+        country,
+        postalCode: getAddressComponent(result, 'postal_code')?.long_name || null,
+    };
+};
+
+// The Geocoding API answers 200 with a `status`; only OK carries results
+const fetchGeocode = async ({ placeId, address }) => {
+    const params = new URLSearchParams(placeId ? { place_id: placeId } : { address, region: PLACES_REGION_CODE });
+    params.set('key', GOOGLE_PLACES_API_KEY);
+    const data = await callGoogleMapsApi('geocode', `${GEOCODING_API_URL}?${params}`);
+
+    if (['ZERO_RESULTS', 'NOT_FOUND'].includes(data.status) || (placeId && data.status === 'INVALID_REQUEST')) {
+        throw createApiError(422, 'PLACE_NOT_FOUND', 'Could not find this place. Please pick it from the suggestions.');
+    }
+    if (data.status !== 'OK' || !data.results?.length) {
+        logger.error('Google Geocoding API error status', { status: data.status, response: data.error_message });
+        throw createApiError(502, 'PLACE_LOOKUP_FAILED', 'Place lookup is temporarily unavailable. Please try again.');
+    }
+    return toPlace(data.results[0]);
+};
+
+// stop: { placeId } or { address }. Failed lookups are not cached.
+const geocodePlace = ({ placeId, address }) => {
+    const key = placeId ? `#${placeId}` : normaliseRouteKeyPart(address);
+    const cached = geocodeCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.place;
+
+    geocodeCache.delete(key);
+    if (geocodeCache.size >= GEOCODE_CACHE_MAX_ENTRIES) {
+        geocodeCache.delete(geocodeCache.keys().next().value);
+    }
+    const place = fetchGeocode({ placeId, address });
+    const entry = { place, expiresAt: Date.now() + GEOCODE_CACHE_TTL_MINUTES * 60 * 1000 };
+    geocodeCache.set(key, entry);
+    place.catch(() => {
+        if (geocodeCache.get(key) === entry) geocodeCache.delete(key);
+    });
+    return place;
+};
+
+// --- Service Area ---
+// Where we take trips, checked before a route is quoted and again when the quote is booked:
+//   SERVICE_AREA_STATES           comma-separated states, e.g. "Tamil Nadu,Puducherry,Karnataka"
+//   SERVICE_AREA_POLYGONS         JSON list of { name, points: [[lat, lng], ...] } areas served
+//                                 outside those states, e.g. a border town
+//   SERVICE_AREA_MAX_DISTANCE_KM  longest route we take, including the drive back on round trips
+// Every stop must be in one of the states or inside one of the polygons. With neither set every
+// place is served and stops are not geocoded at all.
+const SERVICE_AREA_STATES = (process.env.SERVICE_AREA_STATES || '')
+    .split(',')
+    .map((state) => state.trim())
+    .filter(Boolean);
+const unknownServiceAreaStates = SERVICE_AREA_STATES.filter((state) => !getGstStateCode(state));
+if (unknownServiceAreaStates.length > 0) {
+    logger.error('CRITICAL ERROR: SERVICE_AREA_STATES lists unknown states.', { unknown: unknownServiceAreaStates, expected: Object.values(GST_STATES) });
+    process.exit(1);
+}
+const SERVICE_AREA_STATE_CODES = SERVICE_AREA_STATES.map(getGstStateCode);
+
+const isValidPolygon = (polygon) => Array.isArray(polygon?.points)
+    && polygon.points.length >= 3
+    && polygon.points.every((point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+
+let SERVICE_AREA_POLYGONS = [];
+try {
+    SERVICE_AREA_POLYGONS = JSON.parse(process.env.SERVICE_AREA_POLYGONS || '[]');
+    if (!Array.isArray(SERVICE_AREA_POLYGONS) || !SERVICE_AREA_POLYGONS.every(isValidPolygon)) {
+        throw new Error('Expected a list of { name, points: [[lat, lng], ...] } with at least 3 points each.');
+    }
+} catch (error) {
+    logger.error('CRITICAL ERROR: SERVICE_AREA_POLYGONS is invalid.', { error: error.message });
+    process.exit(1);
+}
+
+const SERVICE_AREA_MAX_DISTANCE_KM = Number(process.env.SERVICE_AREA_MAX_DISTANCE_KM || 0); // 0 = no limit
+const SERVICE_AREA_RESTRICTS_PLACES = SERVICE_AREA_STATE_CODES.length > 0 || SERVICE_AREA_POLYGONS.length > 0;
+
+// Ray casting on raw lat/lng, which is accurate enough for district-sized areas
+const isPointInPolygon = ({ lat, lng }, points) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [latI, lngI] = points[i];
+        const [latJ, lngJ] = points[j];
+        if ((lngI > lng) !== (lngJ > lng) && lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const isInServiceArea = (place) => !SERVICE_AREA_RESTRICTS_PLACES
+    || SERVICE_AREA_STATE_CODES.includes(place.stateCode)
+    || SERVICE_AREA_POLYGONS.some((polygon) => isPointInPolygon(place.location, polygon.points));
+
+// What a quote (and later the booking) keeps of each stop's place
+const toStopPlace = ({ placeId, location, stateCode }) => ({ placeId, location, stateCode });
+
+// Geocodes the stops (reusing `knownPlaces`, e.g. from a quote) and throws for the first one we
+// cannot find or do not serve. Returns a stop place per stop, or null when places are unrestricted.
+const checkStopsInServiceArea = async (stops, knownPlaces = []) => {
+    if (!SERVICE_AREA_RESTRICTS_PLACES) return null;
+
+    const places = await Promise.all(stops.map(async (stop, index) => {
+        if (knownPlaces[index]) return knownPlaces[index];
+        try {
+            return toStopPlace(await geocodePlace(stop));
+        } catch (error) {
+            if (error.code !== 'PLACE_NOT_FOUND') throw error;
+            throw createApiError(422, 'PLACE_NOT_FOUND', `Could not find "${stop.address}". Please pick it from the suggestions.`, { field: stop.field });
+        }
+    }));
+
+    const outsideIndex = places.findIndex((place) => !isInServiceArea(place));
+    if (outsideIndex !== -1) {
+        const stop = stops[outsideIndex];
+        throw createApiError(422, 'OUTSIDE_SERVICE_AREA', `Sorry, we do not serve ${stop.address} yet.`, { field: stop.field });
+    }
+    return places;
+};
+
+const checkTripDistance = (distanceKm) => {
+    if (SERVICE_AREA_MAX_DISTANCE_KM > 0 && distanceKm > SERVICE_AREA_MAX_DISTANCE_KM) {
+        throw createApiError(422, 'TRIP_TOO_LONG', `We take trips of up to ${SERVICE_AREA_MAX_DISTANCE_KM} km; this route is ${Math.round(distanceKm)} km.`);
+    }
+};
+
+// --- API Endpoint: Place Autocomplete ---
+// Pass the same sessionToken (any UUID) for every keystroke of one search so Google bills the
+// search as a single session.
+app.get('/api/places/autocomplete', rateLimit('placesPerIp', byIp, PLACES_RATE_LIMIT_MESSAGE), validateQuery({
+    input: { type: 'string', required: true, maxLength: MAX_ADDRESS_LENGTH },
+    sessionToken: { type: 'string', maxLength: 100 },
+    language: { type: 'string', enum: SUPPORTED_LANGUAGES },
+}), async (req, res) => {
+    try {
+        const suggestions = await fetchPlaceSuggestions(req.query);
+        res.json({ suggestions });
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during place autocomplete', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during place autocomplete.');
+    }
+});
+
+// --- API Endpoint: Geocode a Place ---
+// By placeId (from autocomplete) or free-text address. `serviceable` says whether trips from or
+// to the place pass the service-area check.
+app.get('/api/places/geocode', rateLimit('placesPerIp', byIp, PLACES_RATE_LIMIT_MESSAGE), validateQuery({
+    placeId: { type: 'string', maxLength: MAX_PLACE_ID_LENGTH },
+    address: { type: 'string', maxLength: MAX_ADDRESS_LENGTH },
+}), async (req, res) => {
+    const { placeId, address } = req.query;
+    if (!placeId && !address) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'placeId or address is required.', {
+            details: [{ field: 'placeId', message: 'placeId or address is required.' }],
+        });
+    }
+
+    try {
+        const place = await geocodePlace(placeId ? { placeId } : { address });
+        res.json({ place, serviceable: isInServiceArea(place) });
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during geocoding', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during geocoding.');
+    }
+});
+
+// --- API Endpoint for Toll Calculation (Google Maps Routes API) ---
+app.post('/api/get-tolls', validateBody({
+    ...TRIP_STOPS_SCHEMA,
+    vehicleType: vehicleTypeRule(VEHICLE_TOLL_PROFILES),
+}), async (req, res) => {
+    const { pickup, dropoff, waypoints, tripType = 'one-way', distance, vehicleType } = req.body;
+
+    logger.info('Received toll request', { pickup, dropoff, waypoints, tripType, distance, vehicleType });
+
+    try {
+        const stops = buildTripStops({ ...req.body, tripType });
+        await checkStopsInServiceArea(stops);
+        const { distanceMeters, duration, tollAmount, tollMultiplier, tollCurrencies, legs, cached } = await getRouteDetails({ stops, vehicleType });
+        checkTripDistance(distanceMeters / 1000);
+        res.json({
+            tollAmount,
+            currency: 'INR',
+            vehicleType: normaliseVehicleType(vehicleType),
+            tripType,
+            tollMultiplier,
+            tollCurrencies,
+            legs,
+            totals: { distanceMeters, duration, tollAmount },
+            cached,
+        });
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during toll calculation', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during toll calculation.');
+    }
+});
+
+// --- Fare Rate Card ---
+// Per-vehicle-type pricing used by /api/quote. Round-trip and multi-day trips use the roundTrip rates,
+// with the minimum km and driver bata charged per day. Override the whole card with a RATE_CARD_JSON
+// environment variable holding the same shape.
+const DEFAULT_RATE_CARD = {
+    sedan: { oneWayPerKm: 14, roundTripPerKm: 13, oneWayMinKm: 130, roundTripMinKm: 250, driverBata: 400, nightCharge: 250 },
+    etios: { oneWayPerKm: 14, roundTripPerKm: 13, oneWayMinKm: 130, roundTripMinKm: 250, driverBata: 400, nightCharge: 250 },
+    suv: { oneWayPerKm: 19, roundTripPerKm: 18, oneWayMinKm: 130, roundTripMinKm: 250, driverBata: 500, nightCharge: 300 },
+    innova: { oneWayPerKm: 20, roundTripPerKm: 19, oneWayMinKm: 130, roundTripMinKm: 250, driverBata: 500, nightCharge: 300 },
+    tempo_traveller: { oneWayPerKm: 28, roundTripPerKm: 26, oneWayMinKm: 200, roundTripMinKm: 300, driverBata: 700, nightCharge: 400 },
+};
+
+let RATE_CARD = DEFAULT_RATE_CARD;
+if (process.env.RATE_CARD_JSON) {
+    try {
+        RATE_CARD = JSON.parse(process.env.RATE_CARD_JSON);
+    } catch (error) {
+        logger.error('ERROR: RATE_CARD_JSON is not valid JSON. Falling back to the default rate card.', { error: error.message });
+    }
+}
+
+// Night charge applies when pickup falls between these hours (24h clock, local time of the trip)
+const NIGHT_START_HOUR = Number(process.env.NIGHT_START_HOUR ?? 22);
+const NIGHT_END_HOUR = Number(process.env.NIGHT_END_HOUR ?? 6);
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES || 30);
+// Round trips longer than this much driving are billed as extra days even when they return the same day
+const MAX_DRIVING_HOURS_PER_DAY = Number(process.env.MAX_DRIVING_HOURS_PER_DAY || 10);
+
+// --- Fare Calculation Helper ---
+const isNightPickup = (pickupTime) => {
+    if (!pickupTime) return false;
+    const hour = Number(String(pickupTime).split(':')[0]);
+    if (isNaN(hour)) return false;
+    return NIGHT_START_HOUR > NIGHT_END_HOUR
+        ? hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR
+        : hour >= NIGHT_START_HOUR && hour < NIGHT_END_HOUR;
+};
+
+const roundCurrency = (amount) => parseFloat(amount.toFixed(2));
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Number of days the driver is engaged: the calendar span up to returnDate, or the driving time
+// split into MAX_DRIVING_HOURS_PER_DAY chunks, whichever is longer. One-way trips are always 1 day.
+// Returns null when returnDate is before pickupDate.
+const calculateTripDays = ({ tripType, pickupDate, returnDate, duration }) => {
+    if (tripType === 'one-way') return 1;
+
+    const drivingSeconds = parseInt(duration, 10) || 0; // Routes API durations look like "21600s"
+    const drivingDays = Math.max(1, Math.ceil(drivingSeconds / 3600 / MAX_DRIVING_HOURS_PER_DAY));
+    if (!pickupDate || !returnDate) return drivingDays;
+
+    const calendarDays = Math.round((Date.parse(returnDate) - Date.parse(pickupDate)) / MS_PER_DAY) + 1;
+    if (isNaN(calendarDays) || calendarDays < 1) return null;
+    return Math.max(calendarDays, drivingDays);
+};
+
+const calculateFare = ({ rates, tripType, days = 1, distanceMeters, tollAmount, pickupTime }) => {
+    const isOneWay = tripType === 'one-way';
+    const travelledKm = distanceMeters / 1000;
+    const minKm = isOneWay ? rates.oneWayMinKm : rates.roundTripMinKm * days;
+    const ratePerKm = isOneWay ? rates.oneWayPerKm : rates.roundTripPerKm;
+    const chargeableKm = Math.max(Math.ceil(travelledKm), minKm);
+
+    const baseFare = roundCurrency(chargeableKm * ratePerKm);
+    const driverBata = rates.driverBata * days;
+    const nightCharge = isNightPickup(pickupTime) ? rates.nightCharge : 0;
+    const tolls = roundCurrency(tollAmount);
+
+    return {
+        distanceKm: roundCurrency(travelledKm),
+        chargeableKm,
+        ratePerKm,
+        days,
+        baseFare,
+        driverBata,
+        nightCharge,
+        tollAmount: tolls,
+        total: roundCurrency(baseFare + driverBata + nightCharge + tolls),
+    };
+};
+
+// For quotes priced without a pickup time: adds the night charge once the booking supplies one
+const applyPickupTimeToFare = (fareDetails, rates, pickupTime) => {
+    const nightCharge = isNightPickup(pickupTime) ? rates.nightCharge : 0;
+    return { ...fareDetails, nightCharge, total: roundCurrency(fareDetails.total - fareDetails.nightCharge + nightCharge) };
+};
+
+// --- API Endpoint: Fare Quote (Google Routes + Rate Card) ---
+const quoteSchema = {
+    ...TRIP_STOPS_SCHEMA,
+    tripType: {
+        ...TRIP_STOPS_SCHEMA.tripType,
+        check: (value, body) => (value === 'multi-day' && (!body.pickupDate || !body.returnDate)
+            ? 'pickupDate and returnDate are required for multi-day trips.'
+            : null),
+    },
+    vehicleType: vehicleTypeRule(RATE_CARD, { required: true }),
+    pickupDate: { type: 'string', format: 'date' },
+    pickupTime: { type: 'string', format: 'time' },
+    // Both dates are validated YYYY-MM-DD strings, so they compare correctly as text
+    returnDate: {
+        type: 'string',
+        format: 'date',
+        check: (value, body) => (!body.pickupDate || value < body.pickupDate
+            ? 'returnDate must be on or after pickupDate.'
+            : null),
+    },
+};
+
+app.post('/api/quote', validateBody(quoteSchema), async (req, res) => {
+    const { pickup, dropoff, waypoints, tripType = 'one-way', pickupDate, pickupTime, returnDate, pickupPlaceId, dropoffPlaceId, waypointPlaceIds } = req.body;
+    const vehicleType = normaliseVehicleType(req.body.vehicleType);
+    const rates = RATE_CARD[vehicleType];
+
+    logger.info('Received quote request', { pickup, dropoff, waypoints, vehicleType, tripType, pickupDate, pickupTime, returnDate });
+
+    try {
+        const stops = buildTripStops({ ...req.body, tripType });
+        const places = await checkStopsInServiceArea(stops);
+        const { distanceMeters, duration, tollAmount, tollMultiplier, legs, cached } = await getRouteDetails({ stops, vehicleType });
+        checkTripDistance(distanceMeters / 1000);
+
+        const days = calculateTripDays({ tripType, pickupDate, returnDate, duration });
+        const fareDetails = calculateFare({ rates, tripType, days, distanceMeters, tollAmount, pickupTime });
+
+        const issuedAt = Date.now();
+        const expiresAt = issuedAt + QUOTE_TTL_MINUTES * 60 * 1000;
+        const quoteId = signPayload({
+            pickup,
+            dropoff,
+            waypoints: waypoints || [],
+            pickupPlaceId: pickupPlaceId || null,
+            dropoffPlaceId: dropoffPlaceId || null,
+            waypointPlaceIds: waypointPlaceIds || [],
+            // One per stop, so booking can re-check the service area without geocoding again
+            places,
+            vehicleType,
+            tripType,
+            pickupDate: pickupDate || null,
+            pickupTime: pickupTime || null,
+            returnDate: returnDate || null,
+            duration,
+            fareDetails,
+            iat: issuedAt,
+            exp: expiresAt,
+        }, QUOTE_SIGNING_SECRET);
+
+        res.json({
+            quoteId,
+            expiresAt: new Date(expiresAt).toISOString(),
+            pickup,
+            dropoff,
+            waypoints: waypoints || [],
+            vehicleType,
+            tripType,
+            returnDate: returnDate || null,
+            days,
+            legs,
+            totals: { distanceMeters, duration, tollAmount },
+            currency: 'INR',
+            tollMultiplier,
+            fareDetails,
+            cached,
+        });
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during fare quote', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during fare quote.');
+    }
+});
+
+// --- Booking Lifecycle ---
+const bookingsStore = createJsonFileStore('bookings');
+
+// pending_approval: a corporate booking over its account's limits (see Corporate Accounts)
+const BOOKING_STATUS_TRANSITIONS = {
+    pending_approval: ['requested', 'cancelled'],
+    requested: ['confirmed', 'cancelled'],
+    confirmed: ['driver_assigned', 'cancelled'],
+    driver_assigned: ['on_trip', 'cancelled'],
+    on_trip: ['completed'],
+    completed: [],
+    cancelled: [],
+};
+
+// e.g. DRV-3F9A1C
+const generateId = (prefix) => `${prefix}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// e.g. FT-250614-3F9A1C
+const generateBookingId = () => {
+    const datePart = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    return `FT-${datePart}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+const toBookingDetails = (booking) => ({
+    bookingId: booking.id,
+    language: booking.preferredLanguage,
+    pickup: booking.pickup,
+    dropoff: booking.dropoff,
+    pickupDate: booking.pickupDate,
+    pickupTime: booking.pickupTime,
+    fareDetails: booking.fareDetails,
+    payment: booking.payment,
+    driverName: booking.assignment?.driverName,
+    driverPhone: booking.assignment?.driverPhone,
+    driverVehicle: booking.assignment?.vehicleRegistration,
+    cancellation: booking.cancellation,
+});
+
+// Pickup date/time are stored as entered, in Indian time, e.g. 2025-06-14 and 06:30. They are
+// parsed with an explicit offset because the server itself runs in UTC.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const parseIndianDateTime = (date, time) => Date.parse(`${date}T${time}Z`) - IST_OFFSET_MS;
+
+const getPickupTimestamp = (booking) => parseIndianDateTime(booking.pickupDate, booking.pickupTime);
+
+// Emits the booking id whenever a booking changes status or its driver reports a location;
+// live tracking streams listen for their booking.
+const bookingEvents = new EventEmitter();
+bookingEvents.setMaxListeners(0);
+
+const transitionBooking = (booking, status, extra = {}) => {
+    const now = new Date().toISOString();
+    booking.status = status;
+    booking.statusHistory.push({ status, at: now, ...extra });
+    booking.updatedAt = now;
+    const saved = bookingsStore.save(booking);
+    bookingEvents.emit(booking.id);
+    return saved;
+};
+
+// --- Notification Jobs ---
+// Trip notifications are persisted jobs so they survive restarts. A poller picks up due jobs every
+// JOB_POLL_INTERVAL_SECONDS; a failed send is retried with exponential backoff up to
+// JOB_MAX_ATTEMPTS times, unless the error is one a retry cannot fix. On Vercel, where no process stays up, the cron in vercel.json calls
+// GET /api/jobs/run instead (see below).
+const notificationJobsStore = createJsonFileStore('notification-jobs');
+
+const REMINDER_HOURS_BEFORE_PICKUP = Number(process.env.REMINDER_HOURS_BEFORE_PICKUP || 3);
+const JOB_POLL_INTERVAL_SECONDS = Number(process.env.JOB_POLL_INTERVAL_SECONDS || 30);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const JOB_RETRY_BASE_SECONDS = Number(process.env.JOB_RETRY_BASE_SECONDS || 60);
+
+// Each handler sends one notification for a booking; `isDue` says whether it still makes sense to send.
+const NOTIFICATION_JOB_HANDLERS = {
+    trip_reminder: {
+        isDue: (booking) => ['confirmed', 'driver_assigned'].includes(booking.status),
+        send: (booking) => sendTemplatedSms(booking.phoneNumber, 'trip_reminder', toBookingDetails(booking)),
+    },
+    driver_assigned: {
+        isDue: (booking) => ['driver_assigned', 'on_trip'].includes(booking.status),
+        send: (booking) => sendTemplatedSms(booking.phoneNumber, 'driver_assigned', {
+            ...toBookingDetails(booking),
+            trackingUrl: getTrackingShareUrl(booking),
+        }),
+    },
+    trip_completed: {
+        isDue: (booking) => booking.status === 'completed',
+        // The invoice is issued here if it has not been already, so the SMS can link to it
+        send: (booking) => {
+            const invoice = PUBLIC_BASE_URL ? getOrIssueInvoice(booking) : null;
+            return sendTemplatedSms(booking.phoneNumber, 'trip_completed', {
+                ...toBookingDetails(booking),
+                invoiceUrl: invoice ? `${PUBLIC_BASE_URL}${getInvoiceDownloadPath(invoice)}` : undefined,
+            });
+        },
+    },
+    // Tells the referrer about the reward issued for this (referred) booking; see issueReferralReward
+    referral_reward: {
+        isDue: (booking) => booking.status === 'completed',
+        send: (booking) => {
+            const redemption = promoRedemptionsStore.list((entry) => entry.bookingId === booking.id && entry.kind === 'referral' && entry.rewardCode)[0];
+            const reward = redemption && promoCodesStore.get(redemption.rewardCode);
+            if (!reward) return null;
+            return sendTemplatedSms(redemption.referrerPhoneNumber, 'referral_reward', {
+                bookingId: booking.id,
+                rewardCode: reward.id,
+                rewardAmount: reward.discountValue,
+                rewardValidUntil: reward.validUntil,
+            });
+        },
+    },
+};
+
+const scheduleNotificationJob = (type, booking, runAt = Date.now()) => {
+    const now = new Date().toISOString();
+    const job = notificationJobsStore.save({
+        id: generateId('JOB'),
+        type,
+        bookingId: booking.id,
+        runAt: new Date(runAt).toISOString(),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+    });
+    logger.info('Scheduled notification job', { jobId: job.id, type, bookingId: booking.id, runAt: job.runAt });
+    return job;
+};
+
+const scheduleTripReminder = (booking) => {
+    const runAt = getPickupTimestamp(booking) - REMINDER_HOURS_BEFORE_PICKUP * 60 * 60 * 1000;
+    if (isNaN(runAt) || runAt <= Date.now()) return null; // Too close to pickup for a reminder to help
+    return scheduleNotificationJob('trip_reminder', booking, runAt);
+};
+
+const cancelNotificationJobs = (bookingId) => {
+    const now = new Date().toISOString();
+    notificationJobsStore
+        .list((job) => job.bookingId === bookingId && job.status === 'pending')
+        .forEach((job) => notificationJobsStore.save({ ...job, status: 'cancelled', updatedAt: now }));
+};
+
+// Our own errors (createApiError) and the provider's carry an HTTP status. A 4xx other than 429,
+// such as SMS_TOO_LONG or an invalid number, fails the same way every time, so it is not retried.
+const isPermanentJobError = (error) => error.status >= 400 && error.status < 500 && error.status !== 429;
+
+let isRunningJobs = false;
+
+const runDueNotificationJobs = async () => {
+    if (isRunningJobs) return { processed: 0 };
+    isRunningJobs = true;
+    let processed = 0;
+
+    try {
+        const now = Date.now();
+        const dueJobs = notificationJobsStore.list((job) => job.status === 'pending' && Date.parse(job.runAt) <= now);
+
+        for (const job of dueJobs) {
+            processed += 1;
+            const booking = bookingsStore.get(job.bookingId);
+            const handler = NOTIFICATION_JOB_HANDLERS[job.type];
+
+            if (!booking || !handler || !handler.isDue(booking)) {
+                notificationJobsStore.save({ ...job, status: 'cancelled', updatedAt: new Date().toISOString() });
+                continue;
+            }
+
+            try {
+                await handler.send(booking);
+                notificationJobsStore.save({ ...job, status: 'sent', attempts: job.attempts + 1, lastError: null, updatedAt: new Date().toISOString() });
+                logger.info('Notification job sent', { jobId: job.id, type: job.type, bookingId: booking.id });
+            } catch (error) {
+                const attempts = job.attempts + 1;
+                const giveUp = attempts >= JOB_MAX_ATTEMPTS || isPermanentJobError(error);
+                const retryAt = Date.now() + JOB_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+                notificationJobsStore.save({
+                    ...job,
+                    status: giveUp ? 'failed' : 'pending',
+                    attempts,
+                    lastError: error.message || 'Unknown error',
+                    runAt: giveUp ? job.runAt : new Date(retryAt).toISOString(),
+                    updatedAt: new Date().toISOString(),
+                });
+                logger.error('Notification job failed', { jobId: job.id, type: job.type, attempts, givingUp: giveUp, error });
+            }
+        }
+    } finally {
+        isRunningJobs = false;
+    }
+
+    return { processed };
+};
+
+const startNotificationJobPoller = () => {
+    const timer = setInterval(() => {
+        runDueNotificationJobs().catch((error) => logger.error('Notification job poller error', { error }));
+    }, JOB_POLL_INTERVAL_SECONDS * 1000);
+    timer.unref(); // Don't keep the process alive just for the poller
+};
+
+// --- API Endpoint: Run Due Notification Jobs ---
+// Vercel Cron sends GET requests with `Authorization: Bearer <CRON_SECRET>` and cannot set
+// X-Api-Key, so the cron gets its own route. Dispatch tools can still POST with the staff key.
+// Cron schedules more frequent than daily need a Vercel Pro plan.
+const CRON_SECRET = process.env.CRON_SECRET;
+if (process.env.VERCEL && !CRON_SECRET) {
+    logger.warn('WARNING: CRON_SECRET is not set. The notification job cron cannot authenticate, so reminders will not be sent.');
+}
+
+const requireCron = (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (!CRON_SECRET || scheme !== 'Bearer' || !safeEqual(token, CRON_SECRET)) {
+        return sendError(res, 401, 'CRON_AUTH_REQUIRED', 'Cron authentication required.');
+    }
+    next();
+};
+
+const runNotificationJobsHandler = async (req, res) => {
+    try {
+        res.json(await runDueNotificationJobs());
+    } catch (error) {
+        logger.error('Error running notification jobs', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to run notification jobs.');
+    }
+};
+
+app.get('/api/jobs/run', requireCron, runNotificationJobsHandler);
+app.post('/api/jobs/run', requireStaff, runNotificationJobsHandler);
+
+// --- API Endpoint: Create Booking ---
+// The fare is taken from the signed quote, never from the client, and the booking belongs to the
+// verified phone number of the session. A rejected promo code leaves the quote unused, so booking
+// with a promoCode counts against the same guess limit as /api/promos/validate.
+app.post('/api/bookings', requireAuth, validateBody({
+    quoteId: { type: 'string', required: true, maxLength: 4096 },
+    customerName: { type: 'string', maxLength: 100 },
+    pickupDate: { type: 'string', format: 'date' },
+    pickupTime: { type: 'string', format: 'time' },
+    notes: { type: 'string', maxLength: 500 },
+    preferredLanguage: { type: 'string', enum: SUPPORTED_LANGUAGES },
+    // Printed on the trip invoice; a GSTIN lets a business customer claim the GST
+    gstin: { type: 'string', format: 'gstin' },
+    billingName: { type: 'string', maxLength: 100 },
+    // 'corporate' bills the trip to the caller's company account (see Corporate Accounts), which
+    // also supplies the invoice name and GSTIN
+    billTo: { type: 'string', enum: ['self', 'corporate'] },
+    costCentre: { type: 'string', maxLength: 50 },
+    // A promo or referral code (see Promo Codes and Referrals); not for corporate bookings
+    promoCode: {
+        type: 'string',
+        maxLength: 30,
+        check: (value, body) => (body.billTo === 'corporate' ? 'promoCode cannot be used on corporate bookings.' : null),
+    },
+}), rateLimit('promoChecksPerPhone', (req) => (req.body.promoCode ? req.auth.phoneNumber : null), PROMO_RATE_LIMIT_MESSAGE), async (req, res) => {
+    const { quoteId, customerName, pickupDate, pickupTime, notes, preferredLanguage, gstin, billingName, billTo, costCentre, promoCode } = req.body;
+
+    const quote = verifySignedPayload(quoteId, QUOTE_SIGNING_SECRET);
+    if (!quote) {
+        return sendError(res, 400, 'QUOTE_INVALID', 'Quote is invalid or has expired. Please request a new quote.');
+    }
+
+    // The service area may have changed since the quote was issued. Checked before the used-quote
+    // check so nothing awaits between that check and saving the booking.
+    let places;
+    try {
+        places = await checkStopsInServiceArea(buildTripStops(quote), quote.places || []);
+        checkTripDistance(quote.fareDetails.distanceKm);
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Error checking the service area for a booking', { error });
+        return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create booking.');
+    }
+
+    if (bookingsStore.list((booking) => booking.quoteId === quoteId).length > 0) {
+        return sendError(res, 409, 'QUOTE_ALREADY_USED', 'This quote has already been used for a booking.');
+    }
+
+    // The fare was priced for the quote's date and time (night charge, days billed), so the booking
+    // may only fill them in where the quote left them out
+    const mismatches = [['pickupDate', pickupDate], ['pickupTime', pickupTime]]
+        .filter(([field, value]) => value && quote[field] && value !== quote[field])
+        .map(([field]) => ({ field, message: `${field} must match the quote (${quote[field]}). Request a new quote to change it.` }));
+    if (mismatches.length > 0) {
+        return sendError(res, 409, 'QUOTE_MISMATCH', mismatches[0].message, { details: mismatches });
+    }
+
+    const bookingPickupDate = quote.pickupDate || pickupDate;
+    const bookingPickupTime = quote.pickupTime || pickupTime;
+    if (!bookingPickupDate || !bookingPickupTime) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Pickup date and time are required.', {
+            details: [
+                ...(bookingPickupDate ? [] : [{ field: 'pickupDate', message: 'pickupDate is required.' }]),
+                ...(bookingPickupTime ? [] : [{ field: 'pickupTime', message: 'pickupTime is required.' }]),
+            ],
+        });
+    }
+
+    const quotedFare = quote.pickupTime
+        ? quote.fareDetails
+        : applyPickupTimeToFare(quote.fareDetails, RATE_CARD[quote.vehicleType], bookingPickupTime);
+
+    let promo = null;
+    if (promoCode) {
+        try {
+            promo = evaluatePromoCode(promoCode, { phoneNumber: req.auth.phoneNumber, vehicleType: quote.vehicleType, fareDetails: quotedFare });
+        } catch (error) {
+            if (error.expose) return sendApiError(res, error);
+            logger.error('Error checking a promo code for a booking', { error });
+            return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create booking.');
+        }
+    }
+    const fareDetails = promo ? applyPromoToFare(quotedFare, promo) : quotedFare;
+
+    let corporate = null;
+    let billing = gstin || billingName ? { name: billingName || null, gstin: gstin || null } : null;
+    if (billTo === 'corporate') {
+        try {
+            ({ corporate, billing } = prepareCorporateBooking(req.auth.phoneNumber, {
+                costCentre,
+                fareTotal: fareDetails.total,
+                pickupDate: bookingPickupDate,
+            }));
+        } catch (error) {
+            if (error.expose) return sendApiError(res, error);
+            logger.error('Error preparing a corporate booking', { error });
+            return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create booking.');
+        }
+    }
+    const status = corporate?.approval.status === 'pending' ? 'pending_approval' : 'requested';
+
+    const waypointCount = (quote.waypoints || []).length;
+    const now = new Date().toISOString();
+    const booking = bookingsStore.save({
+        id: generateBookingId(),
+        status,
+        quoteId,
+        phoneNumber: req.auth.phoneNumber,
+        customerName: customerName || null,
+        preferredLanguage: normaliseLanguage(preferredLanguage),
+        pickup: quote.pickup,
+        dropoff: quote.dropoff,
+        waypoints: quote.waypoints || [],
+        pickupPlaceId: quote.pickupPlaceId || null,
+        dropoffPlaceId: quote.dropoffPlaceId || null,
+        waypointPlaceIds: quote.waypointPlaceIds || [],
+        // Geocoded stops, kept only when the service area is restricted (see checkStopsInServiceArea)
+        places: places
+            ? { pickup: places[0], waypoints: places.slice(1, waypointCount + 1), dropoff: places[waypointCount + 1] }
+            : null,
+        vehicleType: quote.vehicleType,
+        tripType: quote.tripType,
+        pickupDate: bookingPickupDate,
+        pickupTime: bookingPickupTime,
+        returnDate: quote.returnDate || null,
+        notes: notes || null,
+        billing,
+        corporate,
+        duration: quote.duration || null,
+        fareDetails,
+        payment: buildPaymentSummary(fareDetails.total),
+        statusHistory: [{ status, at: now }],
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    if (promo) {
+        recordPromoRedemption(promo, booking);
+    }
+
+    logger.info('Booking created', { bookingId: booking.id, status, corporateAccountId: corporate?.accountId, promoCode: promo?.code });
+    res.status(201).json({ booking });
+});
+
+// --- API Endpoint: Get Booking ---
+app.get('/api/bookings/:id', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    res.json({ booking });
+});
+
+// --- API Endpoint: Update Booking Status ---
+// Customers may only confirm their own booking. Trip progress (on_trip, completed) is reported by
+// staff or by the assigned driver's app.
+const TRIP_PROGRESS_STATUSES = ['on_trip', 'completed'];
+
+app.post('/api/bookings/:id/status', requireCustomerOrStaff, validateBody({
+    status: { type: 'string', required: true, enum: Object.keys(BOOKING_STATUS_TRANSITIONS) },
+    reason: { type: 'string', maxLength: 500 },
+}), async (req, res) => {
+    const { status, reason } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    const isDriver = Boolean(booking) && isAssignedDriver(req, booking);
+    if (!booking || !(canAccessBooking(req, booking) || isDriver)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    const allowed = TRIP_PROGRESS_STATUSES.includes(status)
+        ? req.auth.role === 'staff' || isDriver
+        : canAccessBooking(req, booking);
+    if (!allowed) {
+        return sendError(res, 403, 'FORBIDDEN', TRIP_PROGRESS_STATUSES.includes(status)
+            ? 'Only staff or the assigned driver can report trip progress.'
+            : 'Only the customer or staff can change this booking.');
+    }
+
+    if (status === 'driver_assigned') {
+        return sendError(res, 400, 'USE_DEDICATED_ENDPOINT', 'Use /api/bookings/:id/assign to assign a driver and vehicle.');
+    }
+
+    if (status === 'cancelled') {
+        return sendError(res, 400, 'USE_DEDICATED_ENDPOINT', 'Use /api/bookings/:id/cancel to cancel a booking.');
+    }
+
+    if (booking.status === 'pending_approval') {
+        return sendError(res, 400, 'USE_DEDICATED_ENDPOINT', 'Use /api/bookings/:id/approval to approve a booking.');
+    }
+
+    if (!BOOKING_STATUS_TRANSITIONS[booking.status].includes(status)) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `Cannot move booking from ${booking.status} to ${status}.`);
+    }
+
+    transitionBooking(booking, status, reason ? { reason } : {});
+    logger.info('Booking status changed', { bookingId: booking.id, status });
+
+    if (status === 'confirmed') {
+        scheduleTripReminder(booking);
+    } else if (status === 'completed') {
+        scheduleNotificationJob('trip_completed', booking);
+        issueReferralReward(booking);
+        runDueNotificationJobs().catch((error) => logger.error('Notification job run error', { error }));
+    }
+
+    let confirmationSms;
+    if (status === 'confirmed') {
+        try {
+            await sendBookingConfirmationSms(booking.phoneNumber, toBookingDetails(booking));
+            confirmationSms = 'sent';
+        } catch (error) {
+            // The booking stays confirmed; the SMS failure is reported back so it can be retried.
+            logger.error('Error sending confirmation SMS', { bookingId: booking.id, error });
+            confirmationSms = 'failed';
+        }
+    }
+
+    res.json({ booking, ...(confirmationSms ? { confirmationSms } : {}) });
+});
+
+// --- Cancellation Policy ---
+// Tiers are checked from the top; the first whose `minHoursBeforePickup` the cancellation still
+// meets sets the fee. The fee is a percentage of the service part of the fare (base fare, driver
+// bata, night charge); tolls are never incurred for a cancelled trip, so they never count towards it.
+// Only money collected online is refundable: what was paid, less the fee. Cash bookings get nothing
+// back because nothing was paid.
+// Override with a CANCELLATION_POLICY_JSON environment variable holding the same shape.
+const DEFAULT_CANCELLATION_POLICY = {
+    tiers: [
+        { minHoursBeforePickup: 24, feePercent: 0 },
+        { minHoursBeforePickup: 6, feePercent: 25 },
+        { minHoursBeforePickup: 0, feePercent: 50 },
+    ],
+    // Cancelling after the pickup time has passed (driver already dispatched)
+    afterPickupFeePercent: 100,
+};
+
+let CANCELLATION_POLICY = DEFAULT_CANCELLATION_POLICY;
+if (process.env.CANCELLATION_POLICY_JSON) {
+    try {
+        CANCELLATION_POLICY = JSON.parse(process.env.CANCELLATION_POLICY_JSON);
+    } catch (error) {
+        logger.error('ERROR: CANCELLATION_POLICY_JSON is not valid JSON. Falling back to the default cancellation policy.', { error: error.message });
+    }
+}
+
+const calculateCancellationCharges = (booking, { waiveFee = false, now = Date.now() } = {}) => {
+    const hoursBeforePickup = (getPickupTimestamp(booking) - now) / (60 * 60 * 1000);
+    const tier = CANCELLATION_POLICY.tiers
+        .slice()
+        .sort((a, b) => b.minHoursBeforePickup - a.minHoursBeforePickup)
+        .find((candidate) => hoursBeforePickup >= candidate.minHoursBeforePickup);
+    // Nothing is dispatched for a corporate trip still waiting for approval
+    const feeWaived = waiveFee || booking.status === 'pending_approval';
+    const feePercent = feeWaived ? 0 : (tier ? tier.feePercent : CANCELLATION_POLICY.afterPickupFeePercent);
+
+    const fare = booking.fareDetails || {};
+    const serviceAmount = (fare.baseFare || 0) + (fare.driverBata || 0) + (fare.nightCharge || 0) - (fare.discount || 0);
+    const cancellationFee = roundCurrency(serviceAmount * feePercent / 100);
+    const payment = getPaymentSummary(booking);
+    const amountPaid = roundCurrency(payment.amountPaid - payment.amountRefunded);
+
+    return {
+        hoursBeforePickup: isNaN(hoursBeforePickup) ? null : roundCurrency(hoursBeforePickup),
+        feePercent,
+        cancellationFee,
+        amountPaid,
+        refundableAmount: roundCurrency(Math.max(0, amountPaid - cancellationFee)),
+    };
+};
+
+// --- API Endpoint: Cancellation Preview ---
+// Lets the app show the fee before the customer commits to cancelling.
+app.get('/api/bookings/:id/cancellation', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (!BOOKING_STATUS_TRANSITIONS[booking.status].includes('cancelled')) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `A ${booking.status} booking cannot be cancelled.`);
+    }
+    res.json({ bookingId: booking.id, ...calculateCancellationCharges(booking) });
+});
+
+// --- API Endpoint: Cancel Booking ---
+// Staff can pass `waiveFee: true`, e.g. when we cancel because no driver is available.
+app.post('/api/bookings/:id/cancel', requireCustomerOrStaff, validateBody({
+    reason: { type: 'string', required: true, maxLength: 500 },
+    waiveFee: { type: 'boolean' },
+}), async (req, res) => {
+    const { reason, waiveFee } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+
+    if (!BOOKING_STATUS_TRANSITIONS[booking.status].includes('cancelled')) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `A ${booking.status} booking cannot be cancelled.`);
+    }
+
+    if (waiveFee && req.auth.role !== 'staff') {
+        return sendError(res, 403, 'FORBIDDEN', 'Only staff can waive the cancellation fee.');
+    }
+
+    const cancelledBy = req.auth.role === 'staff' ? { role: 'staff' } : { role: 'customer', phoneNumber: req.auth.phoneNumber };
+    booking.cancellation = {
+        cancelledBy,
+        reason,
+        cancelledAt: new Date().toISOString(),
+        ...calculateCancellationCharges(booking, { waiveFee: Boolean(waiveFee) }),
+    };
+    transitionBooking(booking, 'cancelled', { reason, by: cancelledBy.role });
+    cancelNotificationJobs(booking.id);
+    logger.info('Booking cancelled', { bookingId: booking.id, by: cancelledBy.role, cancellationFee: booking.cancellation.cancellationFee });
+
+    booking.cancellation.refund = await refundCancelledBooking(booking, booking.cancellation.refundableAmount);
+    refreshBookingPayment(booking.id);
+
+    let cancellationSms;
+    try {
+        await sendCancellationSms(booking.phoneNumber, toBookingDetails(booking));
+        cancellationSms = 'sent';
+    } catch (error) {
+        logger.error('Error sending cancellation SMS', { bookingId: booking.id, error });
+        cancellationSms = 'failed';
+    }
+
+    res.json({ booking, cancellationSms });
+});
+
+// --- Driver & Vehicle Registry ---
+const driversStore = createJsonFileStore('drivers');
+const vehiclesStore = createJsonFileStore('vehicles');
+
+const DRIVER_STATUSES = ['available', 'off_duty', 'suspended'];
+const VEHICLE_STATUSES = ['active', 'maintenance', 'retired'];
+// Bookings that hold a driver and vehicle for their trip window
+const ACTIVE_ASSIGNMENT_STATUSES = ['driver_assigned', 'on_trip'];
+// Slack kept free around each trip for the driver to reach the next pickup
+const ASSIGNMENT_BUFFER_MINUTES = Number(process.env.ASSIGNMENT_BUFFER_MINUTES || 60);
+const FALLBACK_AVERAGE_SPEED_KMPH = 45;
+
+const normaliseRegistration = (registrationNumber) => String(registrationNumber).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const driverSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    phoneNumber: { type: 'string', required: true, format: 'phone' },
+    licenceNumber: { type: 'string', required: true, maxLength: 30 },
+    status: { type: 'string', enum: DRIVER_STATUSES },
+};
+
+const vehicleSchema = {
+    registrationNumber: { type: 'string', required: true, maxLength: 20 },
+    vehicleType: { type: 'string', required: true, enum: Object.keys(RATE_CARD) },
+    seats: { type: 'integer', required: true, min: 1, max: 50 },
+    // States the vehicle's permits cover, as names or GST state codes ("Tamil Nadu" or "33"). Left
+    // empty, the vehicle's permits are not recorded and assignment does not check them.
+    permitStates: {
+        type: 'array',
+        items: {
+            type: 'string',
+            maxLength: 50,
+            check: (value) => (toStateCode(value) ? null : 'permitStates must list Indian states or GST state codes, e.g. "Tamil Nadu" or "33".'),
+        },
+    },
+    status: { type: 'string', enum: VEHICLE_STATUSES },
+};
+
+const toStateCode = (state) => (GST_STATES[state] ? state : getGstStateCode(state));
+
+// GST state codes of every Indian stop on the trip. Bookings keep their geocoded stops only when
+// the service area is restricted; otherwise the stops are geocoded now.
+const getTripStateCodes = async (booking) => {
+    const places = booking.places
+        ? [booking.places.pickup, ...booking.places.waypoints, booking.places.dropoff]
+        : await Promise.all(buildTripStops(booking).map(geocodePlace));
+    return [...new Set(places.map((place) => place?.stateCode).filter(Boolean))];
+};
+
+// The trip states the vehicle has no permit for; empty for vehicles without recorded permits
+const findMissingPermitStates = async (vehicle, booking) => {
+    if (!vehicle.permitStates?.length) return [];
+    const permitted = vehicle.permitStates.map(toStateCode);
+    return (await getTripStateCodes(booking)).filter((stateCode) => !permitted.includes(stateCode));
+};
+
+// Returns [start, end] in ms for the period a booking occupies its driver and vehicle
+const getBookingWindow = (booking) => {
+    const start = getPickupTimestamp(booking);
+    let tripSeconds = parseInt(booking.duration, 10); // Routes API durations look like "21600s"
+    if (isNaN(tripSeconds)) {
+        tripSeconds = ((booking.fareDetails?.distanceKm || 0) / FALLBACK_AVERAGE_SPEED_KMPH) * 3600;
+    }
+    let end = start + tripSeconds * 1000;
+    if (booking.returnDate) {
+        // Multi-day trips hold the driver until the end of the return date
+        end = Math.max(end, parseIndianDateTime(booking.returnDate, '23:59:59'));
+    }
+    const buffer = ASSIGNMENT_BUFFER_MINUTES * 60 * 1000;
+    return [start - buffer, end + buffer];
+};
+
+const findScheduleConflict = (booking, { driverId, vehicleId }) => {
+    const [start, end] = getBookingWindow(booking);
+    return bookingsStore.list((other) =>
+        other.id !== booking.id
+        && ACTIVE_ASSIGNMENT_STATUSES.includes(other.status)
+        && (other.assignment?.driverId === driverId || other.assignment?.vehicleId === vehicleId)
+    ).find((other) => {
+        const [otherStart, otherEnd] = getBookingWindow(other);
+        return start < otherEnd && otherStart < end;
+    }) || null;
+};
+
+const hasActiveAssignment = (field, id) => bookingsStore.list((booking) =>
+    ACTIVE_ASSIGNMENT_STATUSES.includes(booking.status) && booking.assignment?.[field] === id).length > 0;
+
+// --- API Endpoints: Drivers ---
+app.post('/api/drivers', requireStaff, validateBody(driverSchema), (req, res) => {
+    const { name, phoneNumber, licenceNumber, status = 'available' } = req.body;
+    const now = new Date().toISOString();
+    const driver = driversStore.save({
+        id: generateId('DRV'),
+        name,
+        phoneNumber: formatPhoneNumberForTwilio(phoneNumber),
+        licenceNumber,
+        status,
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    logger.info('Driver created', { driverId: driver.id });
+    res.status(201).json({ driver });
+});
+
+app.get('/api/drivers', requireStaff, (req, res) => {
+    const { status } = req.query;
+    res.json({ drivers: driversStore.list((driver) => !status || driver.status === status) });
+});
+
+app.get('/api/drivers/:id', requireStaff, (req, res) => {
+    const driver = driversStore.get(req.params.id);
+    if (!driver) {
+        return sendError(res, 404, 'DRIVER_NOT_FOUND', 'Driver not found.');
+    }
+    res.json({ driver });
+});
+
+app.put('/api/drivers/:id', requireStaff, validateBody(toPartialSchema(driverSchema)), (req, res) => {
+    const driver = driversStore.get(req.params.id);
+    if (!driver) {
+        return sendError(res, 404, 'DRIVER_NOT_FOUND', 'Driver not found.');
+    }
+
+    const { name, phoneNumber, licenceNumber, status } = req.body;
+    Object.assign(driver, {
+        ...(name !== undefined ? { name } : {}),
+        ...(phoneNumber !== undefined ? { phoneNumber: formatPhoneNumberForTwilio(phoneNumber) } : {}),
+        ...(licenceNumber !== undefined ? { licenceNumber } : {}),
+        ...(status !== undefined ? { status } : {}),
+        updatedAt: new Date().toISOString(),
+    });
+    res.json({ driver: driversStore.save(driver) });
+});
+
+app.delete('/api/drivers/:id', requireStaff, (req, res) => {
+    if (!driversStore.get(req.params.id)) {
+        return sendError(res, 404, 'DRIVER_NOT_FOUND', 'Driver not found.');
+    }
+    if (hasActiveAssignment('driverId', req.params.id)) {
+        return sendError(res, 409, 'RESOURCE_IN_USE', 'Driver is assigned to an upcoming or ongoing trip.');
+    }
+    driversStore.remove(req.params.id);
+    res.json({ message: 'Driver deleted.' });
+});
+
+// --- API Endpoints: Vehicles ---
+app.post('/api/vehicles', requireStaff, validateBody(vehicleSchema), (req, res) => {
+    const { registrationNumber, vehicleType, seats, permitStates = [], status = 'active' } = req.body;
+    const normalisedRegistration = normaliseRegistration(registrationNumber);
+    if (vehiclesStore.list((vehicle) => vehicle.registrationNumber === normalisedRegistration).length > 0) {
+        return sendError(res, 409, 'DUPLICATE_VEHICLE', 'A vehicle with this registration number already exists.');
+    }
+
+    const now = new Date().toISOString();
+    const vehicle = vehiclesStore.save({
+        id: generateId('VEH'),
+        registrationNumber: normalisedRegistration,
+        vehicleType,
+        seats,
+        permitStates,
+        status,
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    logger.info('Vehicle created', { vehicleId: vehicle.id });
+    res.status(201).json({ vehicle });
+});
+
+app.get('/api/vehicles', requireStaff, (req, res) => {
+    const { status, vehicleType } = req.query;
+    res.json({
+        vehicles: vehiclesStore.list((vehicle) =>
+            (!status || vehicle.status === status) && (!vehicleType || vehicle.vehicleType === vehicleType)),
+    });
+});
+
+app.get('/api/vehicles/:id', requireStaff, (req, res) => {
+    const vehicle = vehiclesStore.get(req.params.id);
+    if (!vehicle) {
+        return sendError(res, 404, 'VEHICLE_NOT_FOUND', 'Vehicle not found.');
+    }
+    res.json({ vehicle });
+});
+
+app.put('/api/vehicles/:id', requireStaff, validateBody(toPartialSchema(vehicleSchema)), (req, res) => {
+    const vehicle = vehiclesStore.get(req.params.id);
+    if (!vehicle) {
+        return sendError(res, 404, 'VEHICLE_NOT_FOUND', 'Vehicle not found.');
+    }
+
+    const { registrationNumber, vehicleType, seats, permitStates, status } = req.body;
+    if (registrationNumber !== undefined) {
+        const normalisedRegistration = normaliseRegistration(registrationNumber);
+        const duplicate = vehiclesStore.list((other) => other.id !== vehicle.id && other.registrationNumber === normalisedRegistration);
+        if (duplicate.length > 0) {
+            return sendError(res, 409, 'DUPLICATE_VEHICLE', 'A vehicle with this registration number already exists.');
+        }
+        vehicle.registrationNumber = normalisedRegistration;
+    }
+    Object.assign(vehicle, {
+        ...(vehicleType !== undefined ? { vehicleType } : {}),
+        ...(seats !== undefined ? { seats } : {}),
+        ...(permitStates !== undefined ? { permitStates } : {}),
+        ...(status !== undefined ? { status } : {}),
+        updatedAt: new Date().toISOString(),
+    });
+    res.json({ vehicle: vehiclesStore.save(vehicle) });
+});
+
+app.delete('/api/vehicles/:id', requireStaff, (req, res) => {
+    if (!vehiclesStore.get(req.params.id)) {
+        return sendError(res, 404, 'VEHICLE_NOT_FOUND', 'Vehicle not found.');
+    }
+    if (hasActiveAssignment('vehicleId', req.params.id)) {
+        return sendError(res, 409, 'RESOURCE_IN_USE', 'Vehicle is assigned to an upcoming or ongoing trip.');
+    }
+    vehiclesStore.remove(req.params.id);
+    res.json({ message: 'Vehicle deleted.' });
+});
+
+// --- API Endpoint: Assign Driver and Vehicle to Booking ---
+// Works for confirmed bookings and for re-assigning a booking that already has a driver.
+app.post('/api/bookings/:id/assign', requireStaff, validateBody({
+    driverId: { type: 'string', required: true, maxLength: 40 },
+    vehicleId: { type: 'string', required: true, maxLength: 40 },
+}), async (req, res) => {
+    const { driverId, vehicleId } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (!['confirmed', 'driver_assigned'].includes(booking.status)) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `Cannot assign a driver to a ${booking.status} booking.`);
+    }
+
+    const driver = driversStore.get(driverId);
+    if (!driver) {
+        return sendError(res, 404, 'DRIVER_NOT_FOUND', 'Driver not found.');
+    }
+    if (driver.status !== 'available') {
+        return sendError(res, 409, 'DRIVER_UNAVAILABLE', `Driver is ${driver.status} and cannot be assigned.`);
+    }
+
+    const vehicle = vehiclesStore.get(vehicleId);
+    if (!vehicle) {
+        return sendError(res, 404, 'VEHICLE_NOT_FOUND', 'Vehicle not found.');
+    }
+    if (vehicle.status !== 'active') {
+        return sendError(res, 409, 'VEHICLE_UNAVAILABLE', `Vehicle is in ${vehicle.status} status and cannot be assigned.`);
+    }
+    if (vehicle.vehicleType !== booking.vehicleType) {
+        return sendError(res, 409, 'VEHICLE_TYPE_MISMATCH', `Booking needs a ${booking.vehicleType}, but this vehicle is a ${vehicle.vehicleType}.`);
+    }
+
+    let missingPermitStates;
+    try {
+        missingPermitStates = await findMissingPermitStates(vehicle, booking);
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during permit check', { bookingId: booking.id, error });
+        return sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during assignment.');
+    }
+    if (missingPermitStates.length > 0) {
+        const names = missingPermitStates.map((stateCode) => GST_STATES[stateCode]);
+        return sendError(res, 409, 'VEHICLE_PERMIT_MISSING', `Vehicle has no permit for ${names.join(', ')}.`, { missingPermitStates: names });
+    }
+
+    const conflict = findScheduleConflict(booking, { driverId, vehicleId });
+    if (conflict) {
+        return sendError(res, 409, 'SCHEDULE_CONFLICT', `Driver or vehicle is already assigned to booking ${conflict.id} at that time.`, { conflictingBookingId: conflict.id });
+    }
+
+    booking.assignment = {
+        driverId: driver.id,
+        driverName: driver.name,
+        driverPhone: driver.phoneNumber,
+        vehicleId: vehicle.id,
+        vehicleRegistration: vehicle.registrationNumber,
+        assignedAt: new Date().toISOString(),
+    };
+    booking.tracking = createTrackingShare(booking);
+    if (booking.status === 'confirmed') {
+        transitionBooking(booking, 'driver_assigned');
+    } else {
+        booking.updatedAt = booking.assignment.assignedAt;
+        bookingsStore.save(booking);
+    }
+    logger.info('Booking assigned', { bookingId: booking.id, driverId: driver.id, vehicleId: vehicle.id });
+
+    // Sent through the job queue so a Twilio failure is retried instead of lost
+    scheduleNotificationJob('driver_assigned', booking);
+    runDueNotificationJobs().catch((error) => logger.error('Notification job run error', { error }));
+
+    res.json({ booking, driverDetailsSms: 'queued' });
+});
+
+// --- Live Trip Tracking ---
+// The driver app posts GPS pings for its booking while the trip is live. Customers follow the
+// trip through a Server-Sent Events stream, and anyone holding the share link from the
+// driver-assigned SMS can follow it without logging in. Only the latest position is kept.
+const tripLocationsStore = createJsonFileStore('trip-locations');
+
+const TRACKABLE_STATUSES = ['driver_assigned', 'on_trip'];
+// ETAs come from the Routes API, so they are refreshed at most this often rather than on every ping
+const ETA_REFRESH_SECONDS = Number(process.env.ETA_REFRESH_SECONDS || 120);
+// Share links keep working this long after the booking's trip window ends
+const TRACKING_LINK_GRACE_HOURS = Number(process.env.TRACKING_LINK_GRACE_HOURS || 12);
+// Streams end after this long so they finish inside a serverless function's time limit;
+// EventSource reconnects on its own after STREAM_RETRY_MS.
+const TRACKING_STREAM_MAX_SECONDS = Number(process.env.TRACKING_STREAM_MAX_SECONDS || 240);
+const STREAM_HEARTBEAT_MS = 20 * 1000;
+const STREAM_RETRY_MS = 5000;
+const LOCATION_RATE_LIMIT_MESSAGE = 'Too many location updates.';
+
+// Keeps the existing token on re-assignment so the link already sent by SMS keeps working
+const createTrackingShare = (booking) => {
+    const [, windowEnd] = getBookingWindow(booking);
+    return {
+        shareToken: booking.tracking?.shareToken || crypto.randomBytes(12).toString('base64url'),
+        expiresAt: new Date(windowEnd + TRACKING_LINK_GRACE_HOURS * 60 * 60 * 1000).toISOString(),
+    };
+};
+
+const getTrackingShareUrl = (booking) => (PUBLIC_BASE_URL && booking.tracking
+    ? `${PUBLIC_BASE_URL}/track/${booking.tracking.shareToken}`
+    : undefined);
+
+const findBookingByShareToken = (token) => {
+    const booking = bookingsStore.list((candidate) => candidate.tracking?.shareToken === token)[0];
+    return booking && Date.now() <= Date.parse(booking.tracking.expiresAt) ? booking : null;
+};
+
+// Heads for the pickup until the trip starts, then for the drop. A failed Routes call keeps the
+// last ETA for the same target rather than failing the ping.
+const estimateArrival = async (booking, position, previousEta) => {
+    const target = booking.status === 'on_trip' ? 'dropoff' : 'pickup';
+    const now = Date.now();
+    if (previousEta?.target === target && now - Date.parse(previousEta.computedAt) < ETA_REFRESH_SECONDS * 1000) {
+        return previousEta;
+    }
+
+    const targetStop = buildTripStops(booking).find((stop) => stop.field === target);
+    try {
+        const route = await fetchRouteDetails({
+            stops: [{ field: 'driver', address: 'Driver location', location: position }, targetStop],
+            vehicleType: booking.vehicleType,
+        });
+        const durationSeconds = parseInt(route.duration, 10) || 0; // Routes API durations look like "1260s"
+        return {
+            target,
+            distanceMeters: route.distanceMeters,
+            durationSeconds,
+            arrivalAt: new Date(now + durationSeconds * 1000).toISOString(),
+            computedAt: new Date(now).toISOString(),
+        };
+    } catch (error) {
+        logger.warn('Could not refresh trip ETA', { bookingId: booking.id, error });
+        return previousEta?.target === target ? previousEta : null;
+    }
+};
+
+// Share-link viewers get the driver's name and vehicle but no phone numbers
+const toTrackingView = (booking, { isPublic = false } = {}) => {
+    const live = TRACKABLE_STATUSES.includes(booking.status);
+    const location = live ? tripLocationsStore.get(booking.id) : null;
+    // A pickup ETA is stale once the trip starts; the next ping routes to the drop instead
+    const eta = location?.eta?.target === (booking.status === 'on_trip' ? 'dropoff' : 'pickup') ? location.eta : null;
+    return {
+        bookingId: booking.id,
+        status: booking.status,
+        pickup: booking.pickup,
+        dropoff: booking.dropoff,
+        driver: booking.assignment
+            ? {
+                name: booking.assignment.driverName,
+                vehicleRegistration: booking.assignment.vehicleRegistration,
+                vehicleType: booking.vehicleType,
+                ...(isPublic ? {} : { phoneNumber: booking.assignment.driverPhone }),
+            }
+            : null,
+        position: location?.position || null,
+        eta: eta
+            ? {
+                target: eta.target,
+                distanceMeters: eta.distanceMeters,
+                arrivalAt: eta.arrivalAt,
+                remainingSeconds: Math.max(0, Math.round((Date.parse(eta.arrivalAt) - Date.now()) / 1000)),
+            }
+            : null,
+        updatedAt: location?.updatedAt || null,
+    };
+};
+
+// Sends the current view straight away and again on every change to the booking. Bookings that
+// are no longer live answer 204, which tells EventSource to stop reconnecting.
+const streamTracking = (req, res, bookingId, viewOptions) => {
+    const booking = bookingsStore.get(bookingId);
+    if (!TRACKABLE_STATUSES.includes(booking.status)) {
+        return res.status(204).end();
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    let heartbeat;
+    let deadline;
+    const close = () => {
+        clearInterval(heartbeat);
+        clearTimeout(deadline);
+        bookingEvents.off(bookingId, sendUpdate);
+        res.end();
+    };
+    function sendUpdate() {
+        const current = bookingsStore.get(bookingId);
+        res.write(`event: tracking\ndata: ${JSON.stringify(toTrackingView(current, viewOptions))}\n\n`);
+        if (!TRACKABLE_STATUSES.includes(current.status)) close();
+    }
+
+    bookingEvents.on(bookingId, sendUpdate);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+    deadline = setTimeout(close, TRACKING_STREAM_MAX_SECONDS * 1000);
+    req.on('close', close);
+    sendUpdate();
+};
+
+// Counted per caller so another logged-in user cannot use up the driver's allowance
+const byBookingAndCaller = (req) => `${req.params.id}:${req.auth.phoneNumber || req.auth.role}`;
+
+// --- API Endpoint: Driver Location Ping ---
+// Called by the driver app with the assigned driver's own OTP session (or by dispatch tools with
+// the staff key) while the booking is driver_assigned or on_trip.
+app.post('/api/bookings/:id/location', requireCustomerOrStaff, rateLimit('locationPingsPerBooking', byBookingAndCaller, LOCATION_RATE_LIMIT_MESSAGE), validateBody({
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    heading: { type: 'number', min: 0, max: 360 },
+    speedKmph: { type: 'number', min: 0, max: 300 },
+    accuracyMeters: { type: 'number', min: 0 },
+}), async (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !(req.auth.role === 'staff' || isAssignedDriver(req, booking))) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (!TRACKABLE_STATUSES.includes(booking.status)) {
+        return sendError(res, 409, 'TRACKING_NOT_ACTIVE', `Locations cannot be reported for a ${booking.status} booking.`);
+    }
+
+    const { lat, lng, heading, speedKmph, accuracyMeters } = req.body;
+    const now = new Date().toISOString();
+    const position = {
+        lat,
+        lng,
+        heading: heading ?? null,
+        speedKmph: speedKmph ?? null,
+        accuracyMeters: accuracyMeters ?? null,
+        recordedAt: now,
+    };
+    try {
+        const eta = await estimateArrival(booking, position, tripLocationsStore.get(booking.id)?.eta);
+        tripLocationsStore.save({ id: booking.id, position, eta, updatedAt: now });
+        bookingEvents.emit(booking.id);
+        res.json({ tracking: toTrackingView(booking) });
+    } catch (error) {
+        logger.error('Backend server error during location ping', { bookingId: booking.id, error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during location ping.');
+    }
+});
+
+// --- API Endpoints: Booking Tracking (customer or staff) ---
+app.get('/api/bookings/:id/tracking', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    res.json({ tracking: toTrackingView(booking), shareUrl: getTrackingShareUrl(booking) || null });
+});
+
+// EventSource cannot set headers, so browsers should follow the share link stream instead;
+// this stream is for the mobile app.
+app.get('/api/bookings/:id/tracking/stream', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    streamTracking(req, res, booking.id);
+});
+
+// --- API Endpoints: Shared Trip Tracking (public) ---
+const requireTrackingLink = (req, res, next) => {
+    const booking = findBookingByShareToken(req.params.token);
+    if (!booking) {
+        return sendError(res, 403, 'LINK_INVALID', 'This tracking link is invalid or has expired.');
+    }
+    req.booking = booking;
+    next();
+};
+
+app.get('/api/track/:token', requireTrackingLink, (req, res) => {
+    res.json({ tracking: toTrackingView(req.booking, { isPublic: true }) });
+});
+
+app.get('/api/track/:token/stream', requireTrackingLink, (req, res) => {
+    streamTracking(req, res, req.booking.id, { isPublic: true });
+});
+
+// The page the SMS link opens: loads the snapshot, then follows the stream while the trip is live
+const TRACKING_PAGE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Track your Fasttrack Drop Taxi</title>
+<style>body{font-family:sans-serif;max-width:32rem;margin:2rem auto;padding:0 1rem}dt{color:#666;margin-top:.75rem}dd{margin:0;font-size:1.1rem}</style>
+</head>
+<body>
+<h1>Fasttrack Drop Taxi</h1>
+<p id="message">Loading trip details...</p>
+<dl id="details" hidden>
+<dt>Status</dt><dd id="status"></dd>
+<dt>Driver</dt><dd id="driver"></dd>
+<dt>Route</dt><dd id="route"></dd>
+<dt>Expected arrival</dt><dd id="eta"></dd>
+<dt>Last position</dt><dd><a id="position" target="_blank" rel="noopener"></a></dd>
+</dl>
+<script>
+const token = location.pathname.split('/').pop();
+const text = (id, value) => { document.getElementById(id).textContent = value; };
+const render = (trip) => {
+    document.getElementById('details').hidden = false;
+    text('message', '');
+    text('status', trip.status.replace(/_/g, ' '));
+    text('driver', trip.driver ? trip.driver.name + ' (' + trip.driver.vehicleRegistration + ')' : 'Not assigned yet');
+    text('route', trip.pickup + ' to ' + trip.dropoff);
+    text('eta', trip.eta ? new Date(trip.eta.arrivalAt).toLocaleTimeString() + ' at the ' + trip.eta.target : '-');
+    const link = document.getElementById('position');
+    link.textContent = trip.position ? new Date(trip.position.recordedAt).toLocaleTimeString() : '-';
+    link.href = trip.position ? 'https://www.google.com/maps?q=' + trip.position.lat + ',' + trip.position.lng : '#';
+};
+fetch('/api/track/' + token).then((response) => response.json()).then((body) => {
+    if (!body.tracking) return text('message', body.error ? body.error.message : 'This tracking link is not available.');
+    render(body.tracking);
+    if (['driver_assigned', 'on_trip'].includes(body.tracking.status)) {
+        new EventSource('/api/track/' + token + '/stream').addEventListener('tracking', (event) => render(JSON.parse(event.data)));
+    }
+}).catch(() => text('message', 'Could not load the trip. Please refresh the page.'));
+</script>
+</body>
+</html>
+`;
+
+app.get('/track/:token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(TRACKING_PAGE_HTML);
+});
+
+// --- API Endpoint: Twilio Delivery Status Webhook ---
+// Twilio posts form-encoded status updates for messages sent with a statusCallback. Requests are
+// checked against X-Twilio-Signature, which is computed over the public URL Twilio called.
+const verifyTwilioSignature = (req, res, next) => {
+    if (messagingProvider.name === 'twilio') {
+        const signature = req.headers['x-twilio-signature'];
+        const url = `${PUBLIC_BASE_URL}${req.originalUrl}`;
+        if (!PUBLIC_BASE_URL || !signature || !twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body)) {
+            logger.warn('Rejected Twilio status callback with an invalid signature.');
+            return sendError(res, 403, 'INVALID_SIGNATURE', 'Invalid Twilio signature.');
+        }
+    }
+    next();
+};
+
+// MessageStatus is not checked against a list: Twilio adds statuses, and rejecting one would only
+// make Twilio retry the callback.
+app.post(TWILIO_STATUS_WEBHOOK_PATH, express.urlencoded({ extended: false }), verifyTwilioSignature, validateBody({
+    MessageSid: { type: 'string', required: true, maxLength: 64 },
+    MessageStatus: { type: 'string', required: true, maxLength: 32 },
+    ErrorCode: { type: 'string', maxLength: 16 },
+}), (req, res) => {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+    const message = messagesStore.list((candidate) => candidate.sid === MessageSid)[0];
+    if (!message) {
+        // Not one of ours (or sent before the message log existed); acknowledge so Twilio stops retrying
+        logger.warn('Twilio status callback for unknown message SID', { sid: MessageSid });
+        return res.status(204).end();
+    }
+
+    // Callbacks can arrive out of order; never move a message back out of a final status
+    const deliveryFailureStatuses = ['failed', 'undelivered'];
+    const alreadyFailed = deliveryFailureStatuses.includes(message.status);
+    if (!FINAL_MESSAGE_STATUSES.includes(message.status) || FINAL_MESSAGE_STATUSES.includes(MessageStatus)) {
+        message.status = MessageStatus;
+        message.errorCode = ErrorCode || message.errorCode;
+    }
+    if (!alreadyFailed && deliveryFailureStatuses.includes(message.status)) {
+        metrics.smsDeliveryFailures.inc({ status: message.status });
+    }
+    message.statusHistory.push({ status: MessageStatus, at: new Date().toISOString(), ...(ErrorCode ? { errorCode: ErrorCode } : {}) });
+    message.updatedAt = new Date().toISOString();
+    messagesStore.save(message);
+
+    logger.info('Message status updated', { messageId: message.id, sid: MessageSid, status: message.status });
+    res.status(204).end();
+});
+
+// --- API Endpoint: Booking Message History ---
+app.get('/api/bookings/:id/messages', requireStaff, (req, res) => {
+    if (!bookingsStore.get(req.params.id)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    const messages = messagesStore
+        .list((message) => message.bookingId === req.params.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ messages });
+});
+
+// --- API Endpoint: Resend Failed Message ---
+// Sends the same text again as a new message linked to the original through `resendOf`.
+app.post('/api/messages/:id/resend', requireStaff, async (req, res) => {
+    const original = messagesStore.get(req.params.id);
+    if (!original) {
+        return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message not found.');
+    }
+    if (!['failed', 'undelivered'].includes(original.status)) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `Only failed or undelivered messages can be resent; this one is ${original.status}.`);
+    }
+
+    try {
+        const { messageId } = await sendSms(original.to, original.body, {
+            bookingId: original.bookingId,
+            template: original.template,
+            language: original.language,
+            resendOf: original.id,
+        });
+        res.json({ message: messagesStore.get(messageId) });
+    } catch (error) {
+        logger.error('Error resending message', { messageId: original.id, error });
+        if (error.expose) return sendApiError(res, error);
+        sendMessagingError(res, error, 'Failed to resend message.');
+    }
+});
+
+// --- Payment Gateways ---
+// A gateway implements:
+//   createOrder({ amountPaise, currency, receipt, notes }) -> { orderId, checkout }
+//   verifyCheckoutSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   refundPayment({ paymentId, amountPaise }) -> { refundId, status }
+// `checkout` is what the app hands to the gateway's checkout widget. Both gateways use Razorpay's
+// signature scheme and webhook event format, so the fake exercises the same verification code.
+// Pick one with PAYMENT_GATEWAY=razorpay|fake; without it the payment endpoints answer 503.
+const RAZORPAY_API_URL = process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1';
+const ADVANCE_PAYMENT_PERCENT = Number(process.env.ADVANCE_PAYMENT_PERCENT || 20);
+
+const hmacHex = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeEqual = (given, expected) => {
+    if (typeof given !== 'string') return false;
+    const givenBuffer = Buffer.from(given);
+    const expectedBuffer = Buffer.from(expected);
+    return givenBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(givenBuffer, expectedBuffer);
+};
+
+const createRazorpaySignatures = ({ keySecret, webhookSecret }) => ({
+    verifyCheckoutSignature: ({ orderId, paymentId, signature }) =>
+        safeEqual(signature, hmacHex(keySecret, `${orderId}|${paymentId}`)),
+    verifyWebhookSignature: (rawBody, headers) =>
+        Boolean(rawBody) && safeEqual(headers['x-razorpay-signature'], hmacHex(webhookSecret, rawBody)),
+});
+
+const createRazorpayGateway = () => {
+    const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET } = process.env;
+    if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET || !RAZORPAY_WEBHOOK_SECRET) {
+        logger.error('CRITICAL ERROR: PAYMENT_GATEWAY=razorpay needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.');
+        process.exit(1);
+    }
+    const authorization = `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`;
+
+    const razorpayRequest = async (requestPath, body) => {
+        const response = await fetch(`${RAZORPAY_API_URL}${requestPath}`, {
+            method: 'POST',
+            headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            logger.error('Razorpay API error response', { path: requestPath, status: response.status, response: data });
+            throw Object.assign(new Error(data.error?.description || `Razorpay answered ${response.status}`), { status: response.status });
+        }
+        return data;
+    };
+
+    return {
+        name: 'razorpay',
+        ...createRazorpaySignatures({ keySecret: RAZORPAY_KEY_SECRET, webhookSecret: RAZORPAY_WEBHOOK_SECRET }),
+        createOrder: async ({ amountPaise, currency, receipt, notes }) => {
+            const order = await razorpayRequest('/orders', { amount: amountPaise, currency, receipt, notes });
+            return { orderId: order.id, checkout: { keyId: RAZORPAY_KEY_ID, orderId: order.id, amount: order.amount, currency: order.currency } };
+        },
+        refundPayment: async ({ paymentId, amountPaise }) => {
+            const refund = await razorpayRequest(`/payments/${paymentId}/refund`, { amount: amountPaise });
+            return { refundId: refund.id, status: refund.status };
+        },
+    };
+};
+
+// Offline stand-in: orders live only in the database, refunds process instantly, and
+// POST /api/payments/fake/complete plays the part of the customer paying on the checkout page.
+const FAKE_PAYMENT_SECRET = process.env.FAKE_PAYMENT_SECRET || 'fake_payment_secret';
+
+const createFakeGateway = () => {
+    logger.warn('WARNING: Using the fake payment gateway. No money moves; use /api/payments/fake/complete to simulate payments.');
+    const fakeId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+
+    return {
+        name: 'fake',
+        ...createRazorpaySignatures({ keySecret: FAKE_PAYMENT_SECRET, webhookSecret: FAKE_PAYMENT_SECRET }),
+        createOrder: async ({ amountPaise, currency }) => {
+            const orderId = fakeId('order');
+            return { orderId, checkout: { keyId: 'fake', orderId, amount: amountPaise, currency } };
+        },
+        refundPayment: async () => ({ refundId: fakeId('rfnd'), status: 'processed' }),
+        createPaymentId: () => fakeId('pay'),
+    };
+};
+
+const PAYMENT_GATEWAYS = {
+    razorpay: createRazorpayGateway,
+    fake: createFakeGateway,
+};
+const paymentGatewayName = process.env.PAYMENT_GATEWAY;
+if (paymentGatewayName && !PAYMENT_GATEWAYS[paymentGatewayName]) {
+    logger.error(`CRITICAL ERROR: Unknown PAYMENT_GATEWAY "${paymentGatewayName}".`, { expected: Object.keys(PAYMENT_GATEWAYS) });
+    process.exit(1);
+}
+const paymentGateway = paymentGatewayName ? PAYMENT_GATEWAYS[paymentGatewayName]() : null;
+
+const requirePaymentGateway = (req, res, next) => {
+    if (!paymentGateway) {
+        return sendError(res, 503, 'PAYMENTS_DISABLED', 'Online payments are not available right now.');
+    }
+    next();
+};
+
+// --- Payments ---
+// One record per gateway order. A payment is `created` until the checkout callback or webhook
+// reports it `captured` or `failed`; refunds are tracked per payment. A webhook capturing a different
+// amount or currency than the order was for marks it `amount_mismatch` instead, which does not count
+// as paid until staff reconcile it with the gateway. The booking keeps a summary:
+//   payment: { status, amountDue, amountPaid, amountRefunded, balance }
+// where status is pending (nothing paid), partially_paid, paid, or refunded (everything paid
+// has been refunded). Amounts are rupees here and paise at the gateway.
+const paymentsStore = createJsonFileStore('payments');
+const PAYMENT_TYPES = ['advance', 'full'];
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const buildPaymentSummary = (amountDue, payments = []) => {
+    const captured = payments.filter((payment) => ['captured', 'refunded', 'partially_refunded'].includes(payment.status));
+    const amountPaid = roundCurrency(captured.reduce((total, payment) => total + payment.amount, 0));
+    const amountRefunded = roundCurrency(captured.reduce((total, payment) => total + payment.amountRefunded, 0));
+    const netPaid = roundCurrency(amountPaid - amountRefunded);
+
+    let status = 'pending';
+    if (amountRefunded > 0 && netPaid <= 0) status = 'refunded';
+    else if (netPaid > 0 && netPaid >= amountDue) status = 'paid';
+    else if (netPaid > 0) status = 'partially_paid';
+
+    return { status, amountDue, amountPaid, amountRefunded, balance: roundCurrency(Math.max(0, amountDue - netPaid)) };
+};
+
+// A cancelled booking owes nothing more; what was paid is settled by the cancellation refund
+const getAmountDue = (booking) => (booking.status === 'cancelled' ? 0 : booking.fareDetails.total);
+
+const getPaymentSummary = (booking) =>
+    booking.payment || buildPaymentSummary(getAmountDue(booking));
+
+const refreshBookingPayment = (bookingId) => {
+    const booking = bookingsStore.get(bookingId);
+    if (!booking) return null;
+    booking.payment = buildPaymentSummary(getAmountDue(booking), paymentsStore.list((payment) => payment.bookingId === bookingId));
+    booking.updatedAt = new Date().toISOString();
+    return bookingsStore.save(booking);
+};
+
+const updatePayment = (payment, changes, event) => {
+    const now = new Date().toISOString();
+    const updated = paymentsStore.save({
+        ...payment,
+        ...changes,
+        history: [...payment.history, { ...event, at: now }],
+        updatedAt: now,
+    });
+    refreshBookingPayment(payment.bookingId);
+    return updated;
+};
+
+// The checkout callback and the webhook both report captures, in either order; whichever
+// arrives second is a no-op.
+const markPaymentCaptured = (payment, gatewayPaymentId, source) => {
+    if (payment.status !== 'created' && payment.status !== 'failed') return payment;
+    logger.info('Payment captured', { paymentId: payment.id, bookingId: payment.bookingId, amount: payment.amount, source });
+    return updatePayment(payment, { status: 'captured', gatewayPaymentId, capturedAt: new Date().toISOString() }, { status: 'captured', source });
+};
+
+const markPaymentFailed = (payment, gatewayPaymentId, reason) => {
+    if (payment.status !== 'created') return payment;
+    logger.warn('Payment failed', { paymentId: payment.id, bookingId: payment.bookingId, reason });
+    return updatePayment(payment, { status: 'failed', gatewayPaymentId, failureReason: reason || null }, { status: 'failed' });
+};
+
+const markPaymentAmountMismatch = (payment, gatewayPaymentId, { amount, currency }) => {
+    if (!['created', 'failed', 'captured'].includes(payment.status)) return payment;
+    logger.error('Captured payment does not match its order', {
+        paymentId: payment.id,
+        bookingId: payment.bookingId,
+        expected: { amountPaise: toPaise(payment.amount), currency: payment.currency },
+        received: { amountPaise: amount, currency },
+    });
+    return updatePayment(payment, {
+        status: 'amount_mismatch',
+        gatewayPaymentId,
+        capturedAmountPaise: amount,
+        capturedCurrency: currency,
+    }, { status: 'amount_mismatch', source: 'webhook' });
+};
+
+// Idempotent per refundId: the refund API response and the refund webhook both land here
+const applyRefund = (payment, { refundId, amount }) => {
+    if (payment.refunds.some((refund) => refund.refundId === refundId)) return payment;
+    const amountRefunded = roundCurrency(payment.amountRefunded + amount);
+    logger.info('Payment refunded', { paymentId: payment.id, bookingId: payment.bookingId, amount, refundId });
+    return updatePayment(payment, {
+        status: amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded',
+        amountRefunded,
+        refunds: [...payment.refunds, { refundId, amount, at: new Date().toISOString() }],
+    }, { status: 'refund_processed', refundId, amount });
+};
+
+// Refunds `amount` across a cancelled booking's captured payments, newest first. The result is kept
+// on booking.cancellation.refund: status none (nothing to refund), processed, pending (applied when
+// the refund webhook arrives), partial (the gateway failed after refunding some of it) or failed;
+// `amount` is what the gateway accepted, and `outstanding` what staff still have to refund with
+// /api/payments/:id/refund.
+const refundCancelledBooking = async (booking, amount) => {
+    if (amount <= 0) return { status: 'none', amount: 0 };
+    if (!paymentGateway) {
+        logger.error('Cannot refund a cancelled booking without a payment gateway', { bookingId: booking.id, amount });
+        return { status: 'failed', amount: 0, outstanding: amount };
+    }
+
+    const payments = paymentsStore
+        .list((payment) => payment.bookingId === booking.id && ['captured', 'partially_refunded'].includes(payment.status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    let remaining = amount;
+    let pending = false;
+    try {
+        for (const payment of payments) {
+            if (remaining <= 0) break;
+            const share = roundCurrency(Math.min(remaining, payment.amount - payment.amountRefunded));
+            const refund = await paymentGateway.refundPayment({ paymentId: payment.gatewayPaymentId, amountPaise: toPaise(share) });
+            if (refund.status === 'processed') {
+                applyRefund(payment, { refundId: refund.refundId, amount: share });
+            } else {
+                pending = true;
+            }
+            remaining = roundCurrency(remaining - share);
+        }
+    } catch (error) {
+        const refunded = roundCurrency(amount - remaining);
+        logger.error('Error refunding a cancelled booking', { bookingId: booking.id, amount, refunded, error });
+        return { status: refunded > 0 ? 'partial' : 'failed', amount: refunded, outstanding: remaining };
+    }
+    return { status: pending ? 'pending' : 'processed', amount };
+};
+
+const findPaymentByOrderId = (orderId) => paymentsStore.list((payment) => payment.orderId === orderId)[0] || null;
+
+// Applies a Razorpay-format webhook event. Returns false for events we do not track.
+const handlePaymentEvent = (event) => {
+    const paymentEntity = event.payload?.payment?.entity;
+    const refundEntity = event.payload?.refund?.entity;
+
+    if (event.event === 'payment.captured' || event.event === 'payment.failed') {
+        const payment = paymentEntity && findPaymentByOrderId(paymentEntity.order_id);
+        if (!payment) return false;
+        if (event.event === 'payment.captured' && (paymentEntity.amount !== toPaise(payment.amount) || paymentEntity.currency !== payment.currency)) {
+            markPaymentAmountMismatch(payment, paymentEntity.id, paymentEntity);
+        } else if (event.event === 'payment.captured') {
+            markPaymentCaptured(payment, paymentEntity.id, 'webhook');
+        } else {
+            markPaymentFailed(payment, paymentEntity.id, paymentEntity.error_description);
+        }
+        return true;
+    }
+
+    if (event.event === 'refund.processed') {
+        const payment = refundEntity && paymentsStore.list((candidate) => candidate.gatewayPaymentId === refundEntity.payment_id)[0];
+        if (!payment) return false;
+        applyRefund(payment, { refundId: refundEntity.id, amount: refundEntity.amount / 100 });
+        return true;
+    }
+
+    return false;
+};
+
+// --- API Endpoint: Create Payment Order ---
+// `advance` charges ADVANCE_PAYMENT_PERCENT of the fare and is only offered before anything is
+// paid; `full` charges whatever balance remains.
+app.post('/api/bookings/:id/payments', requirePaymentGateway, requireCustomerOrStaff, validateBody({
+    type: { type: 'string', required: true, enum: PAYMENT_TYPES },
+}), async (req, res) => {
+    const { type } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (booking.status === 'cancelled') {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', 'A cancelled booking cannot be paid for.');
+    }
+    if (booking.corporate) {
+        return sendError(res, 409, 'CORPORATE_BILLED', 'This trip is billed to your company\'s monthly statement.');
+    }
+
+    const summary = getPaymentSummary(booking);
+    if (summary.balance <= 0) {
+        return sendError(res, 409, 'ALREADY_PAID', 'This booking is already paid in full.');
+    }
+    if (type === 'advance' && summary.amountPaid > 0) {
+        return sendError(res, 409, 'ADVANCE_ALREADY_PAID', 'An advance has already been paid; pay the balance instead.');
+    }
+
+    const amount = type === 'advance'
+        ? Math.min(summary.balance, Math.ceil(booking.fareDetails.total * ADVANCE_PAYMENT_PERCENT / 100))
+        : summary.balance;
+
+    try {
+        const paymentId = generateId('PAY');
+        const { orderId, checkout } = await paymentGateway.createOrder({
+            amountPaise: toPaise(amount),
+            currency: 'INR',
+            receipt: paymentId,
+            notes: { bookingId: booking.id, type },
+        });
+
+        const now = new Date().toISOString();
+        const payment = paymentsStore.save({
+            id: paymentId,
+            bookingId: booking.id,
+            gateway: paymentGateway.name,
+            orderId,
+            gatewayPaymentId: null,
+            type,
+            amount,
+            currency: 'INR',
+            status: 'created',
+            amountRefunded: 0,
+            refunds: [],
+            history: [{ status: 'created', at: now }],
+            createdAt: now,
+            updatedAt: now,
+        });
+        logger.info('Payment order created', { paymentId, bookingId: booking.id, type, amount });
+        res.status(201).json({ payment, checkout: { gateway: paymentGateway.name, ...checkout } });
+    } catch (error) {
+        logger.error('Error creating payment order', { bookingId: booking.id, error });
+        sendError(res, 502, 'PAYMENT_GATEWAY_FAILED', 'Could not start the payment. Please try again.');
+    }
+});
+
+// --- API Endpoint: List Booking Payments ---
+app.get('/api/bookings/:id/payments', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    const payments = paymentsStore
+        .list((payment) => payment.bookingId === booking.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ summary: getPaymentSummary(booking), payments });
+});
+
+// --- API Endpoint: Verify Checkout Callback ---
+// The app posts what the checkout widget returned. The signature proves the gateway issued it
+// for this order, so the payment can be marked captured without waiting for the webhook.
+app.post('/api/payments/verify', requirePaymentGateway, requireCustomerOrStaff, validateBody({
+    orderId: { type: 'string', required: true, maxLength: 64 },
+    paymentId: { type: 'string', required: true, maxLength: 64 },
+    signature: { type: 'string', required: true, maxLength: 128 },
+}), (req, res) => {
+    const { orderId, paymentId, signature } = req.body;
+
+    const payment = findPaymentByOrderId(orderId);
+    const booking = payment && bookingsStore.get(payment.bookingId);
+    if (!payment || !booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'PAYMENT_NOT_FOUND', 'Payment not found.');
+    }
+    if (!paymentGateway.verifyCheckoutSignature({ orderId, paymentId, signature })) {
+        logger.warn('Rejected payment callback with an invalid signature', { paymentId: payment.id });
+        return sendError(res, 400, 'INVALID_SIGNATURE', 'Payment could not be verified.');
+    }
+
+    const updated = markPaymentCaptured(payment, paymentId, 'checkout');
+    res.json({ payment: updated, summary: getPaymentSummary(bookingsStore.get(payment.bookingId)) });
+});
+
+// --- API Endpoint: Payment Gateway Webhook ---
+// Signed over the raw body with the webhook secret. Unknown or untracked events are acknowledged
+// so the gateway does not keep retrying them.
+app.post('/api/webhooks/payments', requirePaymentGateway, (req, res) => {
+    if (!paymentGateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+        logger.warn('Rejected payment webhook with an invalid signature.');
+        return sendError(res, 403, 'INVALID_SIGNATURE', 'Invalid webhook signature.');
+    }
+
+    const handled = handlePaymentEvent(req.body);
+    if (!handled) {
+        logger.info('Ignored payment webhook event', { event: req.body?.event });
+    }
+    res.json({ received: true });
+});
+
+// --- API Endpoint: Refund Payment ---
+// Staff only. Refunds `amount` rupees of one captured payment, or everything not yet refunded.
+app.post('/api/payments/:id/refund', requirePaymentGateway, requireStaff, validateBody({
+    amount: { type: 'number', min: 1 },
+}), async (req, res) => {
+    const payment = paymentsStore.get(req.params.id);
+    if (!payment) {
+        return sendError(res, 404, 'PAYMENT_NOT_FOUND', 'Payment not found.');
+    }
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `A ${payment.status} payment cannot be refunded.`);
+    }
+
+    const refundable = roundCurrency(payment.amount - payment.amountRefunded);
+    const amount = req.body.amount === undefined ? refundable : roundCurrency(req.body.amount);
+    if (amount > refundable) {
+        return sendError(res, 400, 'VALIDATION_FAILED', `At most ${refundable} can be refunded on this payment.`, {
+            details: [{ field: 'amount', message: `amount must be at most ${refundable}.` }],
+        });
+    }
+
+    try {
+        const refund = await paymentGateway.refundPayment({ paymentId: payment.gatewayPaymentId, amountPaise: toPaise(amount) });
+        // Pending refunds are applied when the refund.processed webhook arrives
+        const updated = refund.status === 'processed'
+            ? applyRefund(payment, { refundId: refund.refundId, amount })
+            : payment;
+        res.json({ payment: updated, refund: { ...refund, amount } });
+    } catch (error) {
+        logger.error('Error refunding payment', { paymentId: payment.id, error });
+        sendError(res, 502, 'PAYMENT_GATEWAY_FAILED', 'Could not refund the payment. Please try again.');
+    }
+});
+
+// --- API Endpoint: Simulate Checkout (fake gateway only) ---
+// outcome=success returns the signed callback fields the app would get from the checkout widget,
+// to post to /api/payments/verify. outcome=failure applies a payment.failed event directly.
+if (paymentGateway?.name === 'fake') {
+    app.post('/api/payments/fake/complete', validateBody({
+        orderId: { type: 'string', required: true, maxLength: 64 },
+        outcome: { type: 'string', required: true, enum: ['success', 'failure'] },
+    }), (req, res) => {
+        const { orderId, outcome } = req.body;
+        const payment = findPaymentByOrderId(orderId);
+        if (!payment) {
+            return sendError(res, 404, 'PAYMENT_NOT_FOUND', 'Payment not found.');
+        }
+
+        const paymentId = paymentGateway.createPaymentId();
+        if (outcome === 'failure') {
+            handlePaymentEvent({
+                event: 'payment.failed',
+                payload: { payment: { entity: { id: paymentId, order_id: orderId, error_description: 'Simulated failure' } } },
+            });
+            return res.json({ payment: paymentsStore.get(payment.id) });
+        }
+        res.json({ orderId, paymentId, signature: hmacHex(FAKE_PAYMENT_SECRET, `${orderId}|${paymentId}`) });
+    });
+}
+
+// --- PDF Rendering ---
+// Just enough PDF for a one-page text document, so invoices need no PDF library. Text is set in
+// the standard Courier fonts, which are monospaced, so columns line up by padding with spaces.
+// The standard fonts only cover Latin-1; anything else (e.g. Tamil addresses) prints as '?'.
+const PDF_PAGE_WIDTH = 595; // A4, in points
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 40;
+const PDF_LINE_CHARACTERS = 88; // at 9pt Courier
+
+const toPdfString = (text) => String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (character) => `\\${character}`);
+
+const wrapText = (text, width = PDF_LINE_CHARACTERS) => {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = '';
+        }
+        line = line ? `${line} ${word}` : word;
+        while (line.length > width) {
+            lines.push(line.slice(0, width));
+            line = line.slice(width);
+        }
+    }
+    return line ? [...lines, line] : lines;
+};
+
+// lines: [{ text, size = 9, bold = false }], top to bottom. Returns the PDF as a Buffer.
+const renderPdf = (lines) => {
+    let y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+    const content = lines.map(({ text = '', size = 9, bold = false }) => {
+        y -= Math.round(size * 1.4);
+        return `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${PDF_MARGIN} ${y} Td (${toPdfString(text)}) Tj ET`;
+    }).join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+// --- GST Invoices ---
+// A completed booking gets one tax invoice, issued the first time it is asked for (at the latest
+// when the trip-completed SMS goes out, which links to it). Invoices are never changed once issued.
+// Numbers run per Indian financial year (April-March): INVOICE_NUMBER_PREFIX/2026-27/00001.
+// GST law caps invoice numbers at 16 characters, which leaves room for a 2-character prefix.
+// The sequences live in DATA_DIR, so no new invoice is issued unless DATA_DIR is durable; otherwise
+// a cold start or a second instance would hand out numbers that were already used.
+//
+// Rate card fares include GST at GST_RATE_PERCENT (5% for cab services without input tax credit),
+// so each taxable line is split into taxable value and tax. Tolls are passed on at actual cost as
+// a reimbursement and carry no GST. The place of supply is the state of the customer's GSTIN, or
+// for customers without one the pickup state (our own state when the pickup was not geocoded).
+// A supply within our state is taxed as CGST + SGST, anything else as IGST.
+const invoicesStore = createJsonFileStore('invoices');
+const invoiceSequencesStore = createJsonFileStore('invoice-sequences');
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'FT';
+const GST_RATE_PERCENT = Number(process.env.GST_RATE_PERCENT || 5);
+const INVOICE_SAC_CODE = process.env.INVOICE_SAC_CODE || '996412'; // taxi services
+const INVOICE_LINK_TTL_DAYS = Number(process.env.INVOICE_LINK_TTL_DAYS || 90);
+
+const INVOICE_SUPPLIER = {
+    name: process.env.INVOICE_SUPPLIER_NAME || 'Fasttrack Drop Taxi',
+    address: process.env.INVOICE_SUPPLIER_ADDRESS || null,
+    gstin: process.env.INVOICE_SUPPLIER_GSTIN || null,
+    stateCode: process.env.INVOICE_SUPPLIER_GSTIN?.slice(0, 2) || process.env.INVOICE_SUPPLIER_STATE_CODE || '33',
+};
+if (INVOICE_SUPPLIER.gstin && !isValidGstin(INVOICE_SUPPLIER.gstin)) {
+    logger.error('CRITICAL ERROR: INVOICE_SUPPLIER_GSTIN is not a valid GSTIN.');
+    process.exit(1);
+}
+if (!GST_STATES[INVOICE_SUPPLIER.stateCode]) {
+    logger.error('CRITICAL ERROR: INVOICE_SUPPLIER_STATE_CODE must be a GST state code, e.g. 33 for Tamil Nadu.');
+    process.exit(1);
+}
+if (!DATA_DIR_DURABLE) {
+    logger.warn('WARNING: DATA_DIR is not durable (see DATA_DIR_DURABLE). GST invoices will not be issued.');
+}
+if (!INVOICE_SUPPLIER.gstin) {
+    logger.warn('WARNING: INVOICE_SUPPLIER_GSTIN is not set. Invoices will be issued without our GSTIN.');
+}
+if (`${INVOICE_NUMBER_PREFIX}/2026-27/00001`.length > 16) {
+    logger.warn('WARNING: INVOICE_NUMBER_PREFIX is too long; invoice numbers will exceed the 16 characters GST allows.');
+}
+
+// Dates on invoices are Indian dates, whatever the server's time zone
+const toIndianDate = (date) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const getFinancialYear = (indianDate) => {
+    const [year, month] = indianDate.split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const nextInvoiceNumber = (financialYear) => {
+    const sequence = invoiceSequencesStore.get(financialYear) || { id: financialYear, last: 0 };
+    sequence.last += 1;
+    invoiceSequencesStore.save(sequence);
+    return `${INVOICE_NUMBER_PREFIX}/${financialYear}/${String(sequence.last).padStart(5, '0')}`;
+};
+
+const splitGstInclusiveAmount = (amount) => {
+    const taxableValue = roundCurrency(amount * 100 / (100 + GST_RATE_PERCENT));
+    return { taxableValue, tax: roundCurrency(amount - taxableValue) };
+};
+
+const buildInvoiceLineItems = (fare) => {
+    const days = fare.days || 1;
+    const items = [
+        { description: `Base fare (${fare.chargeableKm} km x Rs.${fare.ratePerKm}/km)`, amount: fare.baseFare, taxable: true },
+        { description: `Driver allowance (${days} day${days === 1 ? '' : 's'})`, amount: fare.driverBata, taxable: true },
+    ];
+    if (fare.nightCharge) items.push({ description: 'Night charge', amount: fare.nightCharge, taxable: true });
+    if (fare.tollAmount) items.push({ description: 'Tolls (reimbursement at actual cost)', amount: fare.tollAmount, taxable: false });
+    // Promo discounts come off the fare, so they reduce the taxable value
+    if (fare.discount) items.push({ description: `Discount (${fare.promoCode})`, amount: -fare.discount, taxable: true });
+
+    return items.map(({ taxable, ...item }) => (taxable
+        ? { ...item, sac: INVOICE_SAC_CODE, gstRate: GST_RATE_PERCENT, ...splitGstInclusiveAmount(item.amount) }
+        : { ...item, sac: null, gstRate: 0, taxableValue: 0, tax: 0 }));
+};
+
+const buildInvoiceTax = (lineItems, isInterState) => {
+    const taxableValue = roundCurrency(lineItems.reduce((total, item) => total + item.taxableValue, 0));
+    const total = roundCurrency(lineItems.reduce((total, item) => total + item.tax, 0));
+    if (isInterState) {
+        return { rate: GST_RATE_PERCENT, taxableValue, cgstRate: 0, cgst: 0, sgstRate: 0, sgst: 0, igstRate: GST_RATE_PERCENT, igst: total, total };
+    }
+    const cgst = roundCurrency(total / 2);
+    const halfRate = GST_RATE_PERCENT / 2;
+    return { rate: GST_RATE_PERCENT, taxableValue, cgstRate: halfRate, cgst, sgstRate: halfRate, sgst: roundCurrency(total - cgst), igstRate: 0, igst: 0, total };
+};
+
+const findInvoiceForBooking = (bookingId) =>
+    invoicesStore.list((invoice) => invoice.bookingId === bookingId)[0] || null;
+
+const issueInvoice = (booking) => {
+    const issuedAt = new Date();
+    const invoiceDate = toIndianDate(issuedAt);
+    const financialYear = getFinancialYear(invoiceDate);
+    const customerGstin = booking.billing?.gstin || null;
+    const placeOfSupplyCode = customerGstin
+        ? customerGstin.slice(0, 2)
+        : booking.places?.pickup?.stateCode || INVOICE_SUPPLIER.stateCode;
+    const isInterState = placeOfSupplyCode !== INVOICE_SUPPLIER.stateCode;
+    const lineItems = buildInvoiceLineItems(booking.fareDetails);
+
+    const invoice = invoicesStore.save({
+        id: generateId('INV'),
+        number: nextInvoiceNumber(financialYear),
+        financialYear,
+        bookingId: booking.id,
+        invoiceDate,
+        supplier: { ...INVOICE_SUPPLIER, state: GST_STATES[INVOICE_SUPPLIER.stateCode] },
+        customer: {
+            name: booking.billing?.name || booking.customerName || null,
+            phoneNumber: booking.phoneNumber,
+            gstin: customerGstin,
+        },
+        placeOfSupply: { stateCode: placeOfSupplyCode, state: GST_STATES[placeOfSupplyCode] },
+        supplyType: isInterState ? 'inter-state' : 'intra-state',
+        reverseCharge: false,
+        trip: {
+            pickup: booking.pickup,
+            dropoff: booking.dropoff,
+            waypoints: booking.waypoints || [],
+            tripType: booking.tripType,
+            vehicleType: booking.vehicleType,
+            pickupDate: booking.pickupDate,
+            pickupTime: booking.pickupTime,
+            distanceKm: booking.fareDetails.distanceKm,
+        },
+        lineItems,
+        tax: buildInvoiceTax(lineItems, isInterState),
+        total: roundCurrency(lineItems.reduce((total, item) => total + item.amount, 0)),
+        currency: 'INR',
+        // Lets the SMS link open the invoice without a session
+        downloadKey: crypto.randomBytes(9).toString('base64url'),
+        issuedAt: issuedAt.toISOString(),
+    });
+    logger.info('Invoice issued', { invoiceId: invoice.id, number: invoice.number, bookingId: booking.id });
+    return invoice;
+};
+
+// Null when the booking has no invoice yet and none can be issued (see DATA_DIR_DURABLE)
+const getOrIssueInvoice = (booking) => findInvoiceForBooking(booking.id) || (DATA_DIR_DURABLE ? issueInvoice(booking) : null);
+
+const getInvoiceDownloadPath = (invoice) => `/api/invoices/${invoice.id}/pdf?key=${invoice.downloadKey}`;
+
+const toInvoiceResponse = ({ downloadKey, ...invoice }) => invoice;
+
+const formatInvoiceDate = (isoDate) => isoDate.split('-').reverse().join('-');
 
-        console.log('DEBUG: calculatedToll before toFixed:', calculatedToll, 'Type:', typeof calculatedToll);
+const renderInvoicePdf = (invoice) => {
+    const money = (amount) => amount.toFixed(2);
+    const row = (description, sac, taxableValue, tax, amount) =>
+        `${description.padEnd(40)}${sac.padStart(8)}${taxableValue.padStart(14)}${tax.padStart(12)}${amount.padStart(14)}`;
+    const totalRow = (label, amount) => `${label.padEnd(74)}${money(amount).padStart(14)}`;
+    const rule = { text: '-'.repeat(PDF_LINE_CHARACTERS) };
+    const blank = { text: '' };
+    const { supplier, customer, placeOfSupply, trip, tax } = invoice;
 
-        // Final type safeguard before sending the response
-        if (typeof calculatedToll !== 'number' || isNaN(calculatedToll)) {
-            console.error('CRITICAL: calculatedToll is not a valid number right before toFixed! Resetting to 0.');
-            calculatedToll = 0;
+    const lines = [
+        { text: 'TAX INVOICE', size: 14, bold: true },
+        blank,
+        { text: supplier.name, bold: true },
+        ...(supplier.address ? wrapText(supplier.address).map((text) => ({ text })) : []),
+        { text: `GSTIN: ${supplier.gstin || '-'}    State: ${supplier.state} (${supplier.stateCode})` },
+        blank,
+        { text: `Invoice No: ${invoice.number}    Date: ${formatInvoiceDate(invoice.invoiceDate)}` },
+        { text: `Booking ID: ${invoice.bookingId}` },
+        blank,
+        { text: 'Billed to', bold: true },
+        ...(customer.name ? [{ text: customer.name }] : []),
+        { text: `Phone: ${customer.phoneNumber}` },
+        ...(customer.gstin ? [{ text: `GSTIN: ${customer.gstin}` }] : []),
+        { text: `Place of supply: ${placeOfSupply.state} (${placeOfSupply.stateCode})` },
+        blank,
+        { text: 'Trip', bold: true },
+        ...wrapText(`From: ${trip.pickup}`).map((text) => ({ text })),
+        ...(trip.waypoints.length ? wrapText(`Via: ${trip.waypoints.join('; ')}`).map((text) => ({ text })) : []),
+        ...wrapText(`To: ${trip.dropoff}`).map((text) => ({ text })),
+        { text: `Pickup: ${formatInvoiceDate(trip.pickupDate)} ${trip.pickupTime}    Vehicle: ${trip.vehicleType}    Trip: ${trip.tripType}    Distance: ${trip.distanceKm} km` },
+        blank,
+        { text: row('Description', 'SAC', 'Taxable value', 'GST', 'Amount (Rs.)'), bold: true },
+        rule,
+        ...invoice.lineItems.map((item) => ({
+            text: row(item.description, item.sac || '-', item.sac ? money(item.taxableValue) : '-', item.sac ? money(item.tax) : '-', money(item.amount)),
+        })),
+        rule,
+        { text: totalRow('Taxable value', tax.taxableValue) },
+        ...(tax.igst
+            ? [{ text: totalRow(`IGST @ ${tax.igstRate}%`, tax.igst) }]
+            : [{ text: totalRow(`CGST @ ${tax.cgstRate}%`, tax.cgst) }, { text: totalRow(`SGST @ ${tax.sgstRate}%`, tax.sgst) }]),
+        { text: totalRow('Total (Rs.)', invoice.total), bold: true },
+        blank,
+        { text: `Fares include GST at ${tax.rate}%. Tolls are reimbursed at actual cost and carry no GST.` },
+        { text: 'Tax payable on reverse charge: No' },
+        { text: 'This is a computer-generated invoice and needs no signature.' },
+    ];
+    return renderPdf(lines);
+};
+
+// SMS links carry the invoice's download key instead of a session, and stop working after
+// INVOICE_LINK_TTL_DAYS. Without a key the caller must own the booking or be staff.
+const requireInvoiceAccess = (req, res, next) => {
+    const invoice = invoicesStore.get(req.params.id);
+    if (req.query.key !== undefined) {
+        const expired = invoice && Date.now() - Date.parse(invoice.issuedAt) > INVOICE_LINK_TTL_DAYS * MS_PER_DAY;
+        if (!invoice || expired || !safeEqual(req.query.key, invoice.downloadKey)) {
+            return sendError(res, 403, 'LINK_INVALID', 'This invoice link is invalid or has expired.');
+        }
+        req.invoice = invoice;
+        return next();
+    }
+
+    requireCustomerOrStaff(req, res, () => {
+        const booking = invoice && bookingsStore.get(invoice.bookingId);
+        if (!booking || !canAccessBooking(req, booking)) {
+            return sendError(res, 404, 'INVOICE_NOT_FOUND', 'Invoice not found.');
+        }
+        req.invoice = invoice;
+        next();
+    });
+};
+
+// --- API Endpoint: Booking Invoice ---
+// Issues the invoice on first request. Only completed trips are invoiced.
+app.get('/api/bookings/:id/invoice', requireCustomerOrStaff, (req, res) => {
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking || !canAccessBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (booking.status !== 'completed') {
+        return sendError(res, 409, 'INVOICE_NOT_AVAILABLE', 'An invoice is available once the trip is completed.');
+    }
+
+    const invoice = getOrIssueInvoice(booking);
+    if (!invoice) {
+        return sendError(res, 503, 'INVOICES_UNAVAILABLE', 'Invoices cannot be issued right now. Please contact support.');
+    }
+    res.json({ invoice: toInvoiceResponse(invoice), downloadUrl: `${PUBLIC_BASE_URL}${getInvoiceDownloadPath(invoice)}` });
+});
+
+// --- API Endpoints: Invoice JSON and PDF ---
+const invoiceAccessQuerySchema = { key: { type: 'string', maxLength: 64 } };
+
+app.get('/api/invoices/:id', validateQuery(invoiceAccessQuerySchema), requireInvoiceAccess, (req, res) => {
+    res.json({ invoice: toInvoiceResponse(req.invoice) });
+});
+
+app.get('/api/invoices/:id/pdf', validateQuery(invoiceAccessQuerySchema), requireInvoiceAccess, (req, res) => {
+    const pdf = renderInvoicePdf(req.invoice);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="invoice-${req.invoice.number.replace(/\//g, '-')}.pdf"`,
+        'Cache-Control': 'private, no-store',
+    });
+    res.send(pdf);
+});
+
+// --- Corporate Accounts ---
+// Companies whose employees book through the normal OTP flow but are billed monthly. An account
+// lists its employees by verified phone number (a number belongs to at most one account), each
+// either an `employee` or an `approver`. Employees book with billTo: 'corporate' and a cost centre.
+// A trip over the account's perTripLimit, or one that would take the month's spend past
+// monthlySpendLimit, waits in `pending_approval` until an approver (or staff) decides.
+// Months are pickup months; a month's spend is the fare of every live or completed booking plus
+// the fees of cancelled ones. Corporate bookings are not paid online.
+const corporateAccountsStore = createJsonFileStore('corporate-accounts');
+const CORPORATE_ACCOUNT_STATUSES = ['active', 'suspended'];
+const CORPORATE_ROLES = ['employee', 'approver'];
+const CORPORATE_SPEND_STATUSES = ['requested', 'confirmed', 'driver_assigned', 'on_trip', 'completed'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const corporateAccountSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    gstin: { type: 'string', format: 'gstin' },
+    costCentres: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 50 } },
+    // Rupees; leave out (or send null on update) for no limit
+    perTripLimit: { type: 'number', min: 0 },
+    monthlySpendLimit: { type: 'number', min: 0 },
+    status: { type: 'string', enum: CORPORATE_ACCOUNT_STATUSES },
+};
+
+const corporateEmployeeSchema = {
+    phoneNumber: { type: 'string', required: true, format: 'phone' },
+    name: { type: 'string', required: true, maxLength: 100 },
+    role: { type: 'string', enum: CORPORATE_ROLES },
+    costCentre: { type: 'string', maxLength: 50 },
+};
+
+const findCorporateMembership = (phoneNumber) => {
+    const account = corporateAccountsStore.list((candidate) =>
+        candidate.employees.some((employee) => employee.phoneNumber === phoneNumber))[0];
+    return account ? { account, employee: account.employees.find((employee) => employee.phoneNumber === phoneNumber) } : null;
+};
+
+const isKnownCostCentre = (account, costCentre) =>
+    account.costCentres.length === 0 || account.costCentres.includes(costCentre);
+
+const getCorporateMonthlySpend = (accountId, month) => roundCurrency(bookingsStore
+    .list((booking) => booking.corporate?.accountId === accountId && booking.pickupDate.startsWith(month))
+    .reduce((total, booking) => {
+        if (booking.status === 'cancelled') return total + (booking.cancellation?.cancellationFee || 0);
+        return CORPORATE_SPEND_STATUSES.includes(booking.status) ? total + booking.fareDetails.total : total;
+    }, 0));
+
+// Checks the employee may bill this trip to their account and decides whether it needs approval.
+// Returns { corporate, billing } for the new booking.
+const prepareCorporateBooking = (phoneNumber, { costCentre, fareTotal, pickupDate }) => {
+    const membership = findCorporateMembership(phoneNumber);
+    if (!membership) {
+        throw createApiError(403, 'NOT_CORPORATE_EMPLOYEE', 'This phone number is not linked to a corporate account.');
+    }
+    const { account, employee } = membership;
+    if (account.status !== 'active') {
+        throw createApiError(403, 'CORPORATE_ACCOUNT_SUSPENDED', 'Your corporate account is suspended. Please contact your travel desk.');
+    }
+
+    const bookingCostCentre = costCentre || employee.costCentre || null;
+    if (!isKnownCostCentre(account, bookingCostCentre)) {
+        throw createApiError(400, 'VALIDATION_FAILED', `costCentre must be one of: ${account.costCentres.join(', ')}.`, {
+            details: [{ field: 'costCentre', message: `costCentre must be one of: ${account.costCentres.join(', ')}.` }],
+        });
+    }
+
+    const reasons = [];
+    if (account.perTripLimit !== null && fareTotal > account.perTripLimit) {
+        reasons.push('per_trip_limit');
+    }
+    const monthSpend = getCorporateMonthlySpend(account.id, pickupDate.slice(0, 7));
+    if (account.monthlySpendLimit !== null && monthSpend + fareTotal > account.monthlySpendLimit) {
+        reasons.push('monthly_spend_limit');
+    }
+
+    return {
+        corporate: {
+            accountId: account.id,
+            accountName: account.name,
+            costCentre: bookingCostCentre,
+            employeeName: employee.name,
+            approval: reasons.length > 0
+                ? { status: 'pending', reasons, requestedAt: new Date().toISOString() }
+                : { status: 'not_required' },
+        },
+        billing: { name: account.name, gstin: account.gstin },
+    };
+};
+
+// Approvers never decide on their own bookings; another approver or staff must
+const canApproveBooking = (req, booking) => {
+    if (!booking.corporate) return false;
+    if (req.auth.role === 'staff') return true;
+    if (booking.phoneNumber === req.auth.phoneNumber) return false;
+    const membership = findCorporateMembership(req.auth.phoneNumber);
+    return membership?.account.id === booking.corporate.accountId && membership.employee.role === 'approver';
+};
+
+// What the app is told about the caller's own account, e.g. in the verify-otp response
+const toCorporateMembershipSummary = (membership) => (membership
+    ? {
+        id: membership.account.id,
+        name: membership.account.name,
+        status: membership.account.status,
+        role: membership.employee.role,
+        costCentre: membership.employee.costCentre,
+        costCentres: membership.account.costCentres,
+    }
+    : null);
+
+const findEmployeeAccountConflict = (phoneNumber, accountId) => {
+    const membership = findCorporateMembership(phoneNumber);
+    return membership && membership.account.id !== accountId ? membership.account : null;
+};
+
+// --- API Endpoints: Corporate Accounts (staff) ---
+app.post('/api/corporate-accounts', requireStaff, validateBody(corporateAccountSchema), (req, res) => {
+    const { name, gstin, costCentres = [], perTripLimit, monthlySpendLimit, status = 'active' } = req.body;
+    const now = new Date().toISOString();
+    const account = corporateAccountsStore.save({
+        id: generateId('CORP'),
+        name,
+        gstin: gstin || null,
+        costCentres: [...new Set(costCentres)],
+        perTripLimit: perTripLimit ?? null,
+        monthlySpendLimit: monthlySpendLimit ?? null,
+        status,
+        employees: [],
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    logger.info('Corporate account created', { corporateAccountId: account.id });
+    res.status(201).json({ account });
+});
+
+app.get('/api/corporate-accounts', requireStaff, (req, res) => {
+    const { status } = req.query;
+    res.json({ accounts: corporateAccountsStore.list((account) => !status || account.status === status) });
+});
+
+app.get('/api/corporate-accounts/:id', requireStaff, (req, res) => {
+    const account = corporateAccountsStore.get(req.params.id);
+    if (!account) {
+        return sendError(res, 404, 'CORPORATE_ACCOUNT_NOT_FOUND', 'Corporate account not found.');
+    }
+    res.json({ account, monthToDateSpend: getCorporateMonthlySpend(account.id, new Date().toISOString().slice(0, 7)) });
+});
+
+// Send null for perTripLimit, monthlySpendLimit or gstin to clear them
+app.put('/api/corporate-accounts/:id', requireStaff, validateBody(toPartialSchema(corporateAccountSchema)), (req, res) => {
+    const account = corporateAccountsStore.get(req.params.id);
+    if (!account) {
+        return sendError(res, 404, 'CORPORATE_ACCOUNT_NOT_FOUND', 'Corporate account not found.');
+    }
+
+    const { name, gstin, costCentres, perTripLimit, monthlySpendLimit, status } = req.body;
+    if (costCentres !== undefined && costCentres !== null) {
+        const orphaned = account.employees.filter((employee) => employee.costCentre && !costCentres.includes(employee.costCentre));
+        if (orphaned.length > 0) {
+            return sendError(res, 409, 'RESOURCE_IN_USE', 'Some employees still use a cost centre that would be removed.', {
+                costCentres: [...new Set(orphaned.map((employee) => employee.costCentre))],
+            });
+        }
+    }
+
+    Object.assign(account, {
+        ...(name !== undefined ? { name } : {}),
+        ...(gstin !== undefined ? { gstin: gstin || null } : {}),
+        ...(costCentres !== undefined ? { costCentres: [...new Set(costCentres || [])] } : {}),
+        ...(perTripLimit !== undefined ? { perTripLimit } : {}),
+        ...(monthlySpendLimit !== undefined ? { monthlySpendLimit } : {}),
+        ...(status !== undefined ? { status } : {}),
+        updatedAt: new Date().toISOString(),
+    });
+    res.json({ account: corporateAccountsStore.save(account) });
+});
+
+// Adds an employee, or updates one already on this account
+app.put('/api/corporate-accounts/:id/employees', requireStaff, validateBody(corporateEmployeeSchema), (req, res) => {
+    const account = corporateAccountsStore.get(req.params.id);
+    if (!account) {
+        return sendError(res, 404, 'CORPORATE_ACCOUNT_NOT_FOUND', 'Corporate account not found.');
+    }
+
+    const phoneNumber = formatPhoneNumberForTwilio(req.body.phoneNumber);
+    const { name, role = 'employee', costCentre } = req.body;
+    if (findEmployeeAccountConflict(phoneNumber, account.id)) {
+        return sendError(res, 409, 'EMPLOYEE_ALREADY_LINKED', 'This phone number already belongs to another corporate account.');
+    }
+    if (costCentre && !isKnownCostCentre(account, costCentre)) {
+        return sendError(res, 400, 'VALIDATION_FAILED', `costCentre must be one of: ${account.costCentres.join(', ')}.`, {
+            details: [{ field: 'costCentre', message: `costCentre must be one of: ${account.costCentres.join(', ')}.` }],
+        });
+    }
+
+    const employee = { phoneNumber, name, role, costCentre: costCentre || null };
+    const existingIndex = account.employees.findIndex((candidate) => candidate.phoneNumber === phoneNumber);
+    if (existingIndex === -1) {
+        account.employees.push({ ...employee, addedAt: new Date().toISOString() });
+    } else {
+        account.employees[existingIndex] = { ...account.employees[existingIndex], ...employee };
+    }
+    account.updatedAt = new Date().toISOString();
+    corporateAccountsStore.save(account);
+
+    logger.info('Corporate employee saved', { corporateAccountId: account.id, phoneNumber, role });
+    res.status(existingIndex === -1 ? 201 : 200).json({ account });
+});
+
+// Bookings already made stay billed to the account
+app.delete('/api/corporate-accounts/:id/employees/:phoneNumber', requireStaff, (req, res) => {
+    const account = corporateAccountsStore.get(req.params.id);
+    if (!account) {
+        return sendError(res, 404, 'CORPORATE_ACCOUNT_NOT_FOUND', 'Corporate account not found.');
+    }
+
+    const phoneNumber = formatPhoneNumberForTwilio(req.params.phoneNumber);
+    if (!account.employees.some((employee) => employee.phoneNumber === phoneNumber)) {
+        return sendError(res, 404, 'EMPLOYEE_NOT_FOUND', 'Employee not found on this account.');
+    }
+    account.employees = account.employees.filter((employee) => employee.phoneNumber !== phoneNumber);
+    account.updatedAt = new Date().toISOString();
+    res.json({ account: corporateAccountsStore.save(account) });
+});
+
+// --- API Endpoint: My Corporate Account ---
+app.get('/api/corporate/me', requireAuth, (req, res) => {
+    const membership = findCorporateMembership(req.auth.phoneNumber);
+    if (!membership) {
+        return sendError(res, 404, 'NOT_CORPORATE_EMPLOYEE', 'This phone number is not linked to a corporate account.');
+    }
+    const { account } = membership;
+    const month = new Date().toISOString().slice(0, 7);
+    res.json({
+        account: toCorporateMembershipSummary(membership),
+        limits: { perTripLimit: account.perTripLimit, monthlySpendLimit: account.monthlySpendLimit },
+        monthToDate: { month, spend: getCorporateMonthlySpend(account.id, month) },
+    });
+});
+
+// --- API Endpoint: Pending Approvals ---
+// For approvers: their account's bookings waiting for a decision, oldest first
+app.get('/api/corporate/approvals', requireAuth, (req, res) => {
+    const membership = findCorporateMembership(req.auth.phoneNumber);
+    if (!membership || membership.employee.role !== 'approver') {
+        return sendError(res, 403, 'FORBIDDEN', 'Only corporate approvers can see pending approvals.');
+    }
+    const bookings = bookingsStore
+        .list((booking) => booking.status === 'pending_approval'
+            && booking.corporate?.accountId === membership.account.id
+            && booking.phoneNumber !== req.auth.phoneNumber)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ bookings });
+});
+
+// --- API Endpoint: Approve or Reject a Corporate Booking ---
+// Approval moves the booking on to `requested`; rejection cancels it without a fee.
+app.post('/api/bookings/:id/approval', requireCustomerOrStaff, validateBody({
+    decision: { type: 'string', required: true, enum: ['approve', 'reject'] },
+    note: { type: 'string', maxLength: 500 },
+}), async (req, res) => {
+    const { decision, note } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    if (booking?.corporate && req.auth.role !== 'staff' && booking.phoneNumber === req.auth.phoneNumber) {
+        return sendError(res, 403, 'FORBIDDEN', 'Another approver or staff must decide on your own booking.');
+    }
+    if (!booking || !canApproveBooking(req, booking)) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (booking.status !== 'pending_approval') {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `A ${booking.status} booking is not waiting for approval.`);
+    }
+
+    const decidedBy = req.auth.role === 'staff' ? { role: 'staff' } : { role: 'approver', phoneNumber: req.auth.phoneNumber };
+    const decidedAt = new Date().toISOString();
+    booking.corporate.approval = {
+        ...booking.corporate.approval,
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        decidedBy,
+        decidedAt,
+        note: note || null,
+    };
+
+    if (decision === 'approve') {
+        transitionBooking(booking, 'requested', { by: decidedBy.role, reason: 'Approved' });
+        logger.info('Corporate booking approved', { bookingId: booking.id, by: decidedBy.role });
+        return res.json({ booking });
+    }
+
+    const reason = note || 'Not approved by your company.';
+    booking.cancellation = {
+        cancelledBy: decidedBy,
+        reason,
+        cancelledAt: decidedAt,
+        ...calculateCancellationCharges(booking, { waiveFee: true }),
+    };
+    transitionBooking(booking, 'cancelled', { reason, by: decidedBy.role });
+    refreshBookingPayment(booking.id);
+    logger.info('Corporate booking rejected', { bookingId: booking.id, by: decidedBy.role });
+
+    let cancellationSms;
+    try {
+        await sendCancellationSms(booking.phoneNumber, toBookingDetails(booking));
+        cancellationSms = 'sent';
+    } catch (error) {
+        logger.error('Error sending cancellation SMS', { bookingId: booking.id, error });
+        cancellationSms = 'failed';
+    }
+    res.json({ booking, cancellationSms });
+});
+
+// --- API Endpoint: Corporate Monthly Statement ---
+// Staff, or an approver of the account. Completed trips are billed at their fare (tolls included);
+// cancelled ones at their cancellation fee. Trips still pending or upcoming are listed but not
+// billed.
+const addToStatementTotals = (totals, booking) => {
+    const fare = booking.fareDetails || {};
+    totals.bookings += 1;
+    if (booking.status === 'completed') {
+        totals.completedTrips += 1;
+        totals.baseFare = roundCurrency(totals.baseFare + (fare.baseFare || 0));
+        totals.driverBata = roundCurrency(totals.driverBata + (fare.driverBata || 0));
+        totals.nightCharge = roundCurrency(totals.nightCharge + (fare.nightCharge || 0));
+        totals.tolls = roundCurrency(totals.tolls + (fare.tollAmount || 0));
+        totals.fares = roundCurrency(totals.fares + (fare.total || 0));
+    } else if (booking.status === 'cancelled') {
+        totals.cancelledTrips += 1;
+        totals.cancellationFees = roundCurrency(totals.cancellationFees + (booking.cancellation?.cancellationFee || 0));
+    }
+    totals.amountDue = roundCurrency(totals.fares + totals.cancellationFees);
+    return totals;
+};
+
+const emptyStatementTotals = () => ({
+    bookings: 0,
+    completedTrips: 0,
+    cancelledTrips: 0,
+    baseFare: 0,
+    driverBata: 0,
+    nightCharge: 0,
+    tolls: 0,
+    fares: 0,
+    cancellationFees: 0,
+    amountDue: 0,
+});
+
+app.get('/api/corporate-accounts/:id/statement', requireCustomerOrStaff, validateQuery({
+    month: { type: 'string', pattern: MONTH_PATTERN, patternMessage: 'month must be in YYYY-MM format.' },
+}), (req, res) => {
+    const account = corporateAccountsStore.get(req.params.id);
+    const membership = req.auth.role === 'staff' ? null : findCorporateMembership(req.auth.phoneNumber);
+    const canView = req.auth.role === 'staff'
+        || (membership?.account.id === account?.id && membership.employee.role === 'approver');
+    if (!account || !canView) {
+        return sendError(res, 404, 'CORPORATE_ACCOUNT_NOT_FOUND', 'Corporate account not found.');
+    }
+
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    const bookings = bookingsStore
+        .list((booking) => booking.corporate?.accountId === account.id && booking.pickupDate.startsWith(month))
+        .sort((a, b) => `${a.pickupDate}T${a.pickupTime}`.localeCompare(`${b.pickupDate}T${b.pickupTime}`));
+
+    const totals = emptyStatementTotals();
+    const byCostCentre = {};
+    const byEmployee = {};
+    bookings.forEach((booking) => {
+        addToStatementTotals(totals, booking);
+        const costCentre = booking.corporate.costCentre || 'unassigned';
+        byCostCentre[costCentre] = byCostCentre[costCentre] || { costCentre, ...emptyStatementTotals() };
+        addToStatementTotals(byCostCentre[costCentre], booking);
+        byEmployee[booking.phoneNumber] = byEmployee[booking.phoneNumber]
+            || { phoneNumber: booking.phoneNumber, name: booking.corporate.employeeName, ...emptyStatementTotals() };
+        addToStatementTotals(byEmployee[booking.phoneNumber], booking);
+    });
+
+    res.json({
+        account: { id: account.id, name: account.name, gstin: account.gstin },
+        month,
+        generatedAt: new Date().toISOString(),
+        totals,
+        byCostCentre: Object.values(byCostCentre),
+        byEmployee: Object.values(byEmployee),
+        bookings: bookings.map((booking) => ({
+            bookingId: booking.id,
+            status: booking.status,
+            pickupDate: booking.pickupDate,
+            pickupTime: booking.pickupTime,
+            employee: { phoneNumber: booking.phoneNumber, name: booking.corporate.employeeName },
+            costCentre: booking.corporate.costCentre,
+            pickup: booking.pickup,
+            dropoff: booking.dropoff,
+            vehicleType: booking.vehicleType,
+            fare: booking.fareDetails.total,
+            tolls: booking.fareDetails.tollAmount,
+            cancellationFee: booking.cancellation?.cancellationFee || 0,
+            invoiceNumber: findInvoiceForBooking(booking.id)?.number || null,
+        })),
+    });
+});
+
+// --- Promo Codes and Referrals ---
+// Staff create promo codes: a flat or percentage discount, optionally capped, with a validity
+// window (IST dates, inclusive), minimum fare, vehicle types and usage caps overall and per phone
+// number. Every verified customer also has a referral code. A friend's first booking with it gets
+// REFERRAL_DISCOUNT_AMOUNT off; once that trip is completed the referrer is credited with a
+// personal single-use code worth REFERRAL_REWARD_AMOUNT.
+// One code per booking. Discounts come off the fare, never the tolls, and a booking's promo stays
+// counted against its caps unless the booking is cancelled.
+const promoCodesStore = createJsonFileStore('promo-codes');
+const referralCodesStore = createJsonFileStore('referral-codes');
+const promoRedemptionsStore = createJsonFileStore('promo-redemptions');
+
+const PROMO_STATUSES = ['active', 'disabled'];
+const DISCOUNT_TYPES = ['flat', 'percent'];
+const PROMO_CODE_PATTERN = /^[A-Z0-9]{4,20}$/;
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+const REFERRAL_DISCOUNT_AMOUNT = Number(process.env.REFERRAL_DISCOUNT_AMOUNT || 100);
+const REFERRAL_REWARD_AMOUNT = Number(process.env.REFERRAL_REWARD_AMOUNT || 100);
+const REFERRAL_REWARD_VALID_DAYS = Number(process.env.REFERRAL_REWARD_VALID_DAYS || 90);
+
+const promoCodeSchema = {
+    code: { type: 'string', required: true, pattern: PROMO_CODE_PATTERN, patternMessage: 'code must be 4-20 capital letters or digits, e.g. DIWALI200.' },
+    description: { type: 'string', maxLength: 200 },
+    discountType: { type: 'string', required: true, enum: DISCOUNT_TYPES },
+    // Rupees for flat codes, a percentage for percent codes
+    discountValue: {
+        type: 'number',
+        required: true,
+        min: 0.01,
+        check: (value, body) => (body.discountType === 'percent' && value > 100 ? 'discountValue must be at most 100 for percent codes.' : null),
+    },
+    // Largest discount a percent code can give, in rupees
+    maxDiscount: { type: 'number', min: 1 },
+    minFare: { type: 'number', min: 0 },
+    validFrom: { type: 'string', format: 'date' },
+    validUntil: {
+        type: 'string',
+        format: 'date',
+        check: (value, body) => (body.validFrom && value < body.validFrom ? 'validUntil must be on or after validFrom.' : null),
+    },
+    // Empty or left out: every vehicle type
+    vehicleTypes: { type: 'array', items: { type: 'string', enum: Object.keys(RATE_CARD) } },
+    maxRedemptions: { type: 'integer', min: 1 },
+    maxRedemptionsPerUser: { type: 'integer', min: 1 },
+    status: { type: 'string', enum: PROMO_STATUSES },
+};
+
+const normalisePromoCode = (code) => String(code).trim().toUpperCase();
+
+const promoError = (status, code, message) => createApiError(status, code, message, { field: 'promoCode' });
+
+const isPromoCodeTaken = (code) => Boolean(promoCodesStore.get(code) || referralCodesStore.get(code));
+
+// Redemptions whose booking still stands
+const listActiveRedemptions = (predicate) => promoRedemptionsStore.list((redemption) =>
+    predicate(redemption) && bookingsStore.get(redemption.bookingId)?.status !== 'cancelled');
+
+const calculateDiscount = ({ discountType, discountValue, maxDiscount }, fareDetails) => {
+    const discountable = roundCurrency(fareDetails.total - (fareDetails.tollAmount || 0));
+    const discount = discountType === 'percent'
+        ? Math.min(roundCurrency(discountable * discountValue / 100), maxDiscount ?? Infinity)
+        : discountValue;
+    return roundCurrency(Math.min(discount, discountable));
+};
+
+const evaluateReferralCode = (referral, { phoneNumber, fareDetails }) => {
+    if (referral.phoneNumber === phoneNumber) {
+        throw promoError(422, 'PROMO_NOT_APPLICABLE', 'You cannot use your own referral code.');
+    }
+    if (bookingsStore.list((booking) => booking.phoneNumber === phoneNumber && booking.status !== 'cancelled').length > 0) {
+        throw promoError(422, 'PROMO_NOT_APPLICABLE', 'Referral codes are only valid on your first booking.');
+    }
+    return {
+        code: referral.id,
+        kind: 'referral',
+        discount: calculateDiscount({ discountType: 'flat', discountValue: REFERRAL_DISCOUNT_AMOUNT }, fareDetails),
+        referrerPhoneNumber: referral.phoneNumber,
+    };
+};
+
+// Checks a code for this customer and an undiscounted quote fare. Returns
+// { code, kind, discount, referrerPhoneNumber? } or throws the reason it cannot be used.
+const evaluatePromoCode = (rawCode, { phoneNumber, vehicleType, fareDetails }) => {
+    const code = normalisePromoCode(rawCode);
+    const referral = referralCodesStore.get(code);
+    if (referral) return evaluateReferralCode(referral, { phoneNumber, fareDetails });
+
+    const promo = promoCodesStore.get(code);
+    // Referral rewards belong to one customer; to anyone else they do not exist
+    if (!promo || (promo.phoneNumber && promo.phoneNumber !== phoneNumber)) {
+        throw promoError(404, 'PROMO_NOT_FOUND', 'This promo code does not exist.');
+    }
+    const today = toIndianDate(new Date());
+    if (promo.status !== 'active' || (promo.validUntil && today > promo.validUntil)) {
+        throw promoError(422, 'PROMO_NOT_ACTIVE', 'This promo code has expired.');
+    }
+    if (promo.validFrom && today < promo.validFrom) {
+        throw promoError(422, 'PROMO_NOT_ACTIVE', `This promo code can be used from ${promo.validFrom}.`);
+    }
+    if (promo.vehicleTypes.length > 0 && !promo.vehicleTypes.includes(vehicleType)) {
+        throw promoError(422, 'PROMO_NOT_APPLICABLE', `This promo code is only valid for: ${promo.vehicleTypes.join(', ')}.`);
+    }
+    if (promo.minFare !== null && fareDetails.total < promo.minFare) {
+        throw promoError(422, 'PROMO_NOT_APPLICABLE', `This promo code needs a fare of at least Rs.${promo.minFare}.`);
+    }
+
+    const redemptions = listActiveRedemptions((redemption) => redemption.code === code);
+    if (promo.maxRedemptions !== null && redemptions.length >= promo.maxRedemptions) {
+        throw promoError(409, 'PROMO_LIMIT_REACHED', 'This promo code has been fully redeemed.');
+    }
+    const ownRedemptions = redemptions.filter((redemption) => redemption.phoneNumber === phoneNumber);
+    if (promo.maxRedemptionsPerUser !== null && ownRedemptions.length >= promo.maxRedemptionsPerUser) {
+        throw promoError(409, 'PROMO_LIMIT_REACHED', 'You have already used this promo code.');
+    }
+
+    return { code, kind: promo.source === 'referral_reward' ? 'referral_reward' : 'promo', discount: calculateDiscount(promo, fareDetails) };
+};
+
+const applyPromoToFare = (fareDetails, { code, discount }) => ({
+    ...fareDetails,
+    promoCode: code,
+    discount,
+    totalBeforeDiscount: fareDetails.total,
+    total: roundCurrency(fareDetails.total - discount),
+});
+
+const recordPromoRedemption = (promo, booking) => promoRedemptionsStore.save({
+    id: generateId('RDM'),
+    code: promo.code,
+    kind: promo.kind,
+    bookingId: booking.id,
+    phoneNumber: booking.phoneNumber,
+    discount: promo.discount,
+    referrerPhoneNumber: promo.referrerPhoneNumber || null,
+    rewardCode: null,
+    createdAt: new Date().toISOString(),
+});
+
+const generateReferralCode = () => {
+    let code;
+    do {
+        code = `REF${Array.from({ length: 5 }, () => REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)]).join('')}`;
+    } while (isPromoCodeTaken(code));
+    return code;
+};
+
+const getOrCreateReferralCode = (phoneNumber) => referralCodesStore.list((referral) => referral.phoneNumber === phoneNumber)[0]
+    || referralCodesStore.save({ id: generateReferralCode(), phoneNumber, createdAt: new Date().toISOString() });
+
+// Credits the referrer once the referred booking is completed, by either /status or the admin
+// override, and queues an SMS telling them the code. Returns the reward, or null when the booking
+// was not referred or has already been credited.
+const issueReferralReward = (booking) => {
+    const redemption = promoRedemptionsStore.list((entry) => entry.bookingId === booking.id
+        && entry.kind === 'referral'
+        && !entry.rewardCode)[0];
+    if (!redemption) return null;
+
+    const now = new Date();
+    const reward = promoCodesStore.save({
+        id: generateReferralCode(),
+        description: `Referral reward for booking ${booking.id}`,
+        discountType: 'flat',
+        discountValue: REFERRAL_REWARD_AMOUNT,
+        maxDiscount: null,
+        minFare: null,
+        validFrom: null,
+        validUntil: toIndianDate(new Date(now.getTime() + REFERRAL_REWARD_VALID_DAYS * MS_PER_DAY)),
+        vehicleTypes: [],
+        maxRedemptions: 1,
+        maxRedemptionsPerUser: 1,
+        status: 'active',
+        source: 'referral_reward',
+        phoneNumber: redemption.referrerPhoneNumber,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+    });
+    redemption.rewardCode = reward.id;
+    promoRedemptionsStore.save(redemption);
+    logger.info('Referral reward issued', { code: reward.id, bookingId: booking.id });
+    scheduleNotificationJob('referral_reward', booking);
+    return reward;
+};
+
+const toPromoResponse = (promo) => {
+    const { id, ...fields } = promo;
+    return { code: id, ...fields, redemptions: listActiveRedemptions((redemption) => redemption.code === id).length };
+};
+
+// --- API Endpoints: Promo Codes (staff) ---
+app.post('/api/promos', requireStaff, validateBody(promoCodeSchema), (req, res) => {
+    const { code, description, discountType, discountValue, maxDiscount, minFare, validFrom, validUntil, vehicleTypes = [], maxRedemptions, maxRedemptionsPerUser, status = 'active' } = req.body;
+    if (isPromoCodeTaken(code)) {
+        return sendError(res, 409, 'PROMO_CODE_TAKEN', 'A promo or referral code with this name already exists.');
+    }
+
+    const now = new Date().toISOString();
+    const promo = promoCodesStore.save({
+        id: code,
+        description: description || null,
+        discountType,
+        discountValue,
+        maxDiscount: discountType === 'percent' ? maxDiscount ?? null : null,
+        minFare: minFare ?? null,
+        validFrom: validFrom || null,
+        validUntil: validUntil || null,
+        vehicleTypes: [...new Set(vehicleTypes)],
+        maxRedemptions: maxRedemptions ?? null,
+        maxRedemptionsPerUser: maxRedemptionsPerUser ?? null,
+        status,
+        source: 'staff',
+        phoneNumber: null,
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    logger.info('Promo code created', { code });
+    res.status(201).json({ promo: toPromoResponse(promo) });
+});
+
+// Referral rewards are listed only with ?source=referral_reward
+app.get('/api/promos', requireStaff, validateQuery({
+    status: { type: 'string', enum: PROMO_STATUSES },
+    source: { type: 'string', enum: ['staff', 'referral_reward'] },
+}), (req, res) => {
+    const { status, source = 'staff' } = req.query;
+    const promos = promoCodesStore.list((promo) => promo.source === source && (!status || promo.status === status));
+    res.json({ promos: promos.map(toPromoResponse) });
+});
+
+app.get('/api/promos/:code', requireStaff, (req, res) => {
+    const promo = promoCodesStore.get(normalisePromoCode(req.params.code));
+    if (!promo) {
+        return sendError(res, 404, 'PROMO_NOT_FOUND', 'Promo code not found.');
+    }
+    res.json({
+        promo: toPromoResponse(promo),
+        redemptionHistory: promoRedemptionsStore.list((redemption) => redemption.code === promo.id),
+    });
+});
+
+// The code itself cannot change. Send null to clear an optional limit or date.
+const promoCodeUpdateSchema = Object.fromEntries(Object.entries(toPartialSchema(promoCodeSchema)).filter(([name]) => name !== 'code'));
+
+app.put('/api/promos/:code', requireStaff, validateBody(promoCodeUpdateSchema), (req, res) => {
+    const promo = promoCodesStore.get(normalisePromoCode(req.params.code));
+    if (!promo) {
+        return sendError(res, 404, 'PROMO_NOT_FOUND', 'Promo code not found.');
+    }
+
+    const updates = Object.fromEntries(Object.keys(promoCodeUpdateSchema)
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field] ?? null]));
+    if (updates.vehicleTypes !== undefined) updates.vehicleTypes = [...new Set(updates.vehicleTypes || [])];
+    // Rules that span fields are checked against the updated code as a whole
+    const merged = { ...promo, ...updates };
+    const errors = validateAgainstSchema({
+        discountType: promoCodeSchema.discountType,
+        discountValue: promoCodeSchema.discountValue,
+        validUntil: promoCodeSchema.validUntil,
+        status: { ...promoCodeSchema.status, required: true },
+    }, merged);
+    if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', errors[0].message, { details: errors });
+    }
+
+    Object.assign(promo, updates, {
+        maxDiscount: merged.discountType === 'percent' ? merged.maxDiscount : null,
+        updatedAt: new Date().toISOString(),
+    });
+    res.json({ promo: toPromoResponse(promoCodesStore.save(promo)) });
+});
+
+// Codes that were ever redeemed are kept for the redemption history; disable them instead
+app.delete('/api/promos/:code', requireStaff, (req, res) => {
+    const promo = promoCodesStore.get(normalisePromoCode(req.params.code));
+    if (!promo) {
+        return sendError(res, 404, 'PROMO_NOT_FOUND', 'Promo code not found.');
+    }
+    if (promoRedemptionsStore.list((redemption) => redemption.code === promo.id).length > 0) {
+        return sendError(res, 409, 'RESOURCE_IN_USE', 'This promo code has been redeemed. Disable it instead.');
+    }
+    promoCodesStore.remove(promo.id);
+    res.status(204).end();
+});
+
+// --- API Endpoint: Validate a Promo Code ---
+// Prices a quote with the code for the logged-in customer without redeeming it. The code is
+// redeemed by passing it as promoCode when creating the booking, where it is checked again.
+app.post('/api/promos/validate', requireAuth, rateLimit('promoChecksPerPhone', (req) => req.auth.phoneNumber, PROMO_RATE_LIMIT_MESSAGE), validateBody({
+    quoteId: { type: 'string', required: true, maxLength: 4096 },
+    promoCode: { type: 'string', required: true, maxLength: 30 },
+}), (req, res) => {
+    const quote = verifySignedPayload(req.body.quoteId, QUOTE_SIGNING_SECRET);
+    if (!quote) {
+        return sendError(res, 400, 'QUOTE_INVALID', 'Quote is invalid or has expired. Please request a new quote.');
+    }
+
+    try {
+        const promo = evaluatePromoCode(req.body.promoCode, {
+            phoneNumber: req.auth.phoneNumber,
+            vehicleType: quote.vehicleType,
+            fareDetails: quote.fareDetails,
+        });
+        res.json({
+            promo: { code: promo.code, kind: promo.kind, discount: promo.discount },
+            fareDetails: applyPromoToFare(quote.fareDetails, promo),
+        });
+    } catch (error) {
+        if (error.expose) return sendApiError(res, error);
+        logger.error('Backend server error during promo validation', { error });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during promo validation.');
+    }
+});
+
+// --- API Endpoint: My Referral Code ---
+// Creates the caller's referral code on first use and lists the rewards earned with it
+app.get('/api/referrals/me', requireAuth, (req, res) => {
+    const { phoneNumber } = req.auth;
+    const referral = getOrCreateReferralCode(phoneNumber);
+
+    const referrals = promoRedemptionsStore.list((redemption) => redemption.kind === 'referral' && redemption.referrerPhoneNumber === phoneNumber);
+    const today = toIndianDate(new Date());
+    const rewards = promoCodesStore.list((promo) => promo.source === 'referral_reward' && promo.phoneNumber === phoneNumber)
+        .map((promo) => {
+            let status = 'available';
+            if (listActiveRedemptions((redemption) => redemption.code === promo.id).length > 0) status = 'used';
+            else if (promo.status !== 'active' || today > promo.validUntil) status = 'expired';
+            return { code: promo.id, amount: promo.discountValue, validUntil: promo.validUntil, status };
+        });
+
+    res.json({
+        code: referral.id,
+        friendDiscount: REFERRAL_DISCOUNT_AMOUNT,
+        rewardAmount: REFERRAL_REWARD_AMOUNT,
+        referredBookings: referrals.length,
+        completedReferrals: referrals.filter((redemption) => redemption.rewardCode).length,
+        rewards,
+    });
+});
+
+// --- Admin API ---
+// Read-mostly views for dispatchers and accounting under /api/admin, all behind the staff key.
+// Date filters and report days use the booking's pickup date (the trip date) unless
+// dateField=created is passed for the list and export.
+const auditLogStore = createJsonFileStore('audit-log');
+
+const ADMIN_DEFAULT_REPORT_DAYS = 30;
+const ADMIN_MAX_REPORT_DAYS = 366;
+const ADMIN_MAX_PAGE_SIZE = 500;
+
+app.use('/api/admin', requireStaff);
+
+const addDays = (dateString, days) =>
+    new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+
+const listDates = (from, to) => {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+    return dates;
+};
+
+// Days from `from` to `to`, both included, without listing them
+const countDays = (from, to) => (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY + 1;
+
+const todayUtc = () => new Date().toISOString().slice(0, 10);
+
+// Query dates are validated YYYY-MM-DD strings, so they compare correctly as text
+const dateRangeQuerySchema = {
+    from: { type: 'string', format: 'date' },
+    to: {
+        type: 'string',
+        format: 'date',
+        check: (value, query) => (query.from && value < query.from ? 'to must be on or after from.' : null),
+    },
+};
+
+const reportQuerySchema = {
+    ...dateRangeQuerySchema,
+    to: {
+        ...dateRangeQuerySchema.to,
+        check: (value, query) => {
+            if (query.from && value < query.from) return 'to must be on or after from.';
+            if (query.from && countDays(query.from, value) > ADMIN_MAX_REPORT_DAYS) {
+                return `A report can cover at most ${ADMIN_MAX_REPORT_DAYS} days.`;
+            }
+            return null;
+        },
+    },
+};
+
+// Defaults to the last ADMIN_DEFAULT_REPORT_DAYS days ending today (or ending `to`)
+const getReportRange = ({ from, to }) => {
+    const end = to || (from ? addDays(from, ADMIN_DEFAULT_REPORT_DAYS - 1) : todayUtc());
+    return { from: from || addDays(end, -(ADMIN_DEFAULT_REPORT_DAYS - 1)), to: end };
+};
+
+const bookingFilterQuerySchema = {
+    ...dateRangeQuerySchema,
+    // One status or a comma-separated list, e.g. confirmed,driver_assigned
+    status: {
+        type: 'string',
+        check: (value) => {
+            const unknown = value.split(',').filter((status) => !BOOKING_STATUS_TRANSITIONS[status]);
+            return unknown.length > 0
+                ? `Unknown status ${unknown.join(', ')}. Expected one of: ${Object.keys(BOOKING_STATUS_TRANSITIONS).join(', ')}.`
+                : null;
+        },
+    },
+    vehicleType: { type: 'string', enum: Object.keys(RATE_CARD) },
+    dateField: { type: 'string', enum: ['pickup', 'created'] },
+};
+
+const filterBookings = ({ from, to, status, vehicleType, dateField = 'pickup' }) => {
+    const statuses = status ? status.split(',') : null;
+    const bookingDate = (booking) => (dateField === 'created' ? booking.createdAt.slice(0, 10) : booking.pickupDate);
+    return bookingsStore
+        .list((booking) =>
+            (!statuses || statuses.includes(booking.status))
+            && (!vehicleType || booking.vehicleType === vehicleType)
+            && (!from || bookingDate(booking) >= from)
+            && (!to || bookingDate(booking) <= to))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// --- API Endpoint: Admin Booking List ---
+app.get('/api/admin/bookings', validateQuery({
+    ...bookingFilterQuerySchema,
+    limit: { type: 'string', pattern: /^\d+$/, patternMessage: 'limit must be a whole number.' },
+    offset: { type: 'string', pattern: /^\d+$/, patternMessage: 'offset must be a whole number.' },
+}), (req, res) => {
+    const limit = Math.min(Number(req.query.limit || 50), ADMIN_MAX_PAGE_SIZE);
+    const offset = Number(req.query.offset || 0);
+    const bookings = filterBookings(req.query);
+    res.json({ total: bookings.length, limit, offset, bookings: bookings.slice(offset, offset + limit) });
+});
+
+// --- API Endpoint: Admin Booking CSV Export ---
+const BOOKING_CSV_COLUMNS = [
+    ['bookingId', (booking) => booking.id],
+    ['status', (booking) => booking.status],
+    ['createdAt', (booking) => booking.createdAt],
+    ['pickupDate', (booking) => booking.pickupDate],
+    ['pickupTime', (booking) => booking.pickupTime],
+    ['returnDate', (booking) => booking.returnDate],
+    ['tripType', (booking) => booking.tripType],
+    ['vehicleType', (booking) => booking.vehicleType],
+    ['customerName', (booking) => booking.customerName],
+    ['pickup', (booking) => booking.pickup],
+    ['dropoff', (booking) => booking.dropoff],
+    ['distanceKm', (booking) => booking.fareDetails?.distanceKm],
+    ['baseFare', (booking) => booking.fareDetails?.baseFare],
+    ['driverBata', (booking) => booking.fareDetails?.driverBata],
+    ['nightCharge', (booking) => booking.fareDetails?.nightCharge],
+    ['tollAmount', (booking) => booking.fareDetails?.tollAmount],
+    ['promoCode', (booking) => booking.fareDetails?.promoCode],
+    ['discount', (booking) => booking.fareDetails?.discount],
+    ['fareTotal', (booking) => booking.fareDetails?.total],
+    ['cancellationFee', (booking) => booking.cancellation?.cancellationFee],
+    ['refundableAmount', (booking) => booking.cancellation?.refundableAmount],
+    ['paymentStatus', (booking) => booking.payment?.status],
+    ['amountPaid', (booking) => booking.payment?.amountPaid],
+    ['amountRefunded', (booking) => booking.payment?.amountRefunded],
+    ['balance', (booking) => booking.payment?.balance],
+    ['corporateAccountId', (booking) => booking.corporate?.accountId],
+    ['costCentre', (booking) => booking.corporate?.costCentre],
+    ['driverId', (booking) => booking.assignment?.driverId],
+    ['vehicleRegistration', (booking) => booking.assignment?.vehicleRegistration],
+];
+
+// Quotes every cell, and prefixes ones a spreadsheet would read as a formula (=, +, -, @)
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    const safeText = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return `"${safeText.replace(/"/g, '""')}"`;
+};
+
+app.get('/api/admin/bookings/export.csv', validateQuery(bookingFilterQuerySchema), (req, res) => {
+    const rows = filterBookings(req.query).map((booking) =>
+        BOOKING_CSV_COLUMNS.map(([, getValue]) => toCsvCell(getValue(booking))).join(','));
+    const header = BOOKING_CSV_COLUMNS.map(([name]) => name).join(',');
+
+    res.type('text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="bookings-${todayUtc()}.csv"`);
+    res.send(`${[header, ...rows].join('\r\n')}\r\n`);
+});
+
+// --- API Endpoint: Admin Daily Revenue Report ---
+// Revenue per pickup day is the fare of completed trips plus fees kept on cancelled ones.
+app.get('/api/admin/reports/revenue', validateQuery(reportQuerySchema), (req, res) => {
+    const { from, to } = getReportRange(req.query);
+    const days = new Map(listDates(from, to).map((date) => [date, {
+        date,
+        bookings: 0,
+        completed: 0,
+        cancelled: 0,
+        fareRevenue: 0,
+        cancellationFees: 0,
+        tollTotal: 0,
+        revenue: 0,
+    }]));
+
+    filterBookings({ from, to }).forEach((booking) => {
+        const day = days.get(booking.pickupDate);
+        if (!day) return;
+        day.bookings += 1;
+        if (booking.status === 'completed') {
+            day.completed += 1;
+            day.fareRevenue += booking.fareDetails?.total || 0;
+            day.tollTotal += booking.fareDetails?.tollAmount || 0;
+        } else if (booking.status === 'cancelled') {
+            day.cancelled += 1;
+            day.cancellationFees += booking.cancellation?.cancellationFee || 0;
         }
+    });
+
+    const daily = [...days.values()].map((day) => ({
+        ...day,
+        fareRevenue: roundCurrency(day.fareRevenue),
+        cancellationFees: roundCurrency(day.cancellationFees),
+        tollTotal: roundCurrency(day.tollTotal),
+        revenue: roundCurrency(day.fareRevenue + day.cancellationFees),
+    }));
+    const sum = (field) => roundCurrency(daily.reduce((total, day) => total + day[field], 0));
+
+    res.json({
+        from,
+        to,
+        currency: 'INR',
+        totals: {
+            bookings: sum('bookings'),
+            completed: sum('completed'),
+            cancelled: sum('cancelled'),
+            fareRevenue: sum('fareRevenue'),
+            cancellationFees: sum('cancellationFees'),
+            tollTotal: sum('tollTotal'),
+            revenue: sum('revenue'),
+        },
+        daily,
+    });
+});
+
+// --- API Endpoint: Admin Messaging Volume Report ---
+// OTP counts come from the daily OTP stats; SMS counts from the message log, by day sent (UTC).
+app.get('/api/admin/reports/messaging', validateQuery(reportQuerySchema), (req, res) => {
+    const { from, to } = getReportRange(req.query);
+    const days = new Map(listDates(from, to).map((date) => {
+        const stats = otpStatsStore.get(date);
+        return [date, {
+            date,
+            otp: Object.fromEntries(OTP_STAT_FIELDS.map((name) => [name, stats?.[name] || 0])),
+            sms: { total: 0, delivered: 0, failed: 0, byTemplate: {} },
+        }];
+    }));
+
+    messagesStore.list().forEach((message) => {
+        const day = days.get(message.createdAt.slice(0, 10));
+        if (!day) return;
+        const template = message.template || 'other';
+        day.sms.total += 1;
+        day.sms.byTemplate[template] = (day.sms.byTemplate[template] || 0) + 1;
+        if (message.status === 'delivered') day.sms.delivered += 1;
+        if (['failed', 'undelivered'].includes(message.status)) day.sms.failed += 1;
+    });
+
+    const daily = [...days.values()];
+    const sum = (group, fields) =>
+        Object.fromEntries(fields.map((field) => [field, daily.reduce((total, day) => total + day[group][field], 0)]));
+    const totals = {
+        otp: sum('otp', OTP_STAT_FIELDS),
+        sms: sum('sms', ['total', 'delivered', 'failed']),
+    };
+
+    res.json({ from, to, totals, daily });
+});
+
+// --- API Endpoint: Admin Booking Status Override ---
+// Corrects a booking's status outside the normal transitions, e.g. marking a trip completed when
+// the driver forgot to. No customer SMS is sent. Every override is written to the audit log.
+// Staff share one API key, so `operator` is self-reported by the caller and not verified.
+app.post('/api/admin/bookings/:id/status', validateBody({
+    status: { type: 'string', required: true, enum: Object.keys(BOOKING_STATUS_TRANSITIONS) },
+    reason: { type: 'string', required: true, maxLength: 500 },
+    operator: { type: 'string', required: true, maxLength: 100 },
+}), (req, res) => {
+    const { status, reason, operator } = req.body;
+
+    const booking = bookingsStore.get(req.params.id);
+    if (!booking) {
+        return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found.');
+    }
+    if (booking.status === status) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', `Booking is already ${status}.`);
+    }
+    if (['driver_assigned', 'on_trip'].includes(status) && !booking.assignment) {
+        return sendError(res, 409, 'INVALID_STATUS_TRANSITION', 'Assign a driver and vehicle before moving the booking to this status.');
+    }
+
+    const previousStatus = booking.status;
+    transitionBooking(booking, status, { reason, by: 'staff', override: true, operator });
+    if (['completed', 'cancelled'].includes(status)) {
+        cancelNotificationJobs(booking.id);
+    }
+    if (status === 'completed' && issueReferralReward(booking)) {
+        runDueNotificationJobs().catch((error) => logger.error('Notification job run error', { error }));
+    }
 
-        res.json({ tollAmount: parseFloat(calculatedToll.toFixed(2)) });
+    const auditEntry = auditLogStore.save({
+        id: generateId('AUD'),
+        action: 'booking.status_override',
+        bookingId: booking.id,
+        from: previousStatus,
+        to: status,
+        reason,
+        operator,
+        requestId: requestContext.getStore()?.requestId || null,
+        at: new Date().toISOString(),
+    });
+    logger.warn('Booking status overridden', { bookingId: booking.id, from: previousStatus, to: status, operator });
 
+    res.json({ booking, audit: auditEntry });
+});
+
+// --- API Endpoint: Admin Audit Log ---
+app.get('/api/admin/audit-log', validateQuery({
+    bookingId: { type: 'string', maxLength: 40 },
+    limit: { type: 'string', pattern: /^\d+$/, patternMessage: 'limit must be a whole number.' },
+}), (req, res) => {
+    const { bookingId } = req.query;
+    const limit = Math.min(Number(req.query.limit || 100), ADMIN_MAX_PAGE_SIZE);
+    const entries = auditLogStore
+        .list((entry) => !bookingId || entry.bookingId === bookingId)
+        .sort((a, b) => b.at.localeCompare(a.at));
+    res.json({ total: entries.length, entries: entries.slice(0, limit) });
+});
+
+// --- Health, Readiness and Metrics Endpoints ---
+// /health only says the process is up. /ready checks that Twilio and Google Routes are configured
+// and, unless READINESS_UPSTREAM_CHECKS=false, reachable; it answers 503 when either is not.
+// Upstream results are cached for READINESS_CACHE_SECONDS so frequent probes do not become a
+// stream of Twilio and Google calls. To run the checks against stubs, use MESSAGING_PROVIDER=mock
+// and point GOOGLE_ROUTES_API_URL at a fake Routes server.
+const READINESS_UPSTREAM_CHECKS = process.env.READINESS_UPSTREAM_CHECKS !== 'false';
+const READINESS_CACHE_SECONDS = Number(process.env.READINESS_CACHE_SECONDS || 30);
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS || 3000);
+const serverStartedAt = Date.now();
+let readinessCache = null; // { result, expiresAt }
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms).unref()),
+]);
+
+// An empty computeRoutes request is rejected with 400 INVALID_ARGUMENT before any routing happens,
+// so it is not billed, but it still proves the API is reachable and accepts our key.
+const checkGoogleRoutes = async () => {
+    const response = await fetch(ROUTES_API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': GOOGLE_ROUTES_API_KEY,
+            'X-Goog-FieldMask': 'routes.duration',
+        },
+        body: '{}',
+    });
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+    const keyRejected = response.status === 403
+        || (errorData.error?.details || []).some((detail) => detail.reason === 'API_KEY_INVALID');
+    if (response.status === 400 && !keyRejected) return;
+    throw new Error(`Google Routes API answered ${response.status}${keyRejected ? ' (API key rejected)' : ''}.`);
+};
+
+const runReadinessCheck = async (name, { configured, probe }) => {
+    if (!configured) return { status: 'fail', configured: false };
+    if (!READINESS_UPSTREAM_CHECKS) return { status: 'ok', configured: true };
+
+    const checkStartedAt = Date.now();
+    try {
+        await withTimeout(probe(), READINESS_TIMEOUT_MS);
+        return { status: 'ok', configured: true, reachable: true, latencyMs: Date.now() - checkStartedAt };
     } catch (error) {
-        console.error('Backend server error during toll calculation:', error);
-        res.status(500).json({ message: 'Internal server error during toll calculation.', details: error.message || 'Unknown error' });
+        logger.warn('Readiness check failed', { check: name, error });
+        return { status: 'fail', configured: true, reachable: false, latencyMs: Date.now() - checkStartedAt };
+    }
+};
+
+const getReadiness = async () => {
+    if (readinessCache && readinessCache.expiresAt > Date.now()) return readinessCache.result;
+
+    const [messaging, googleRoutes] = await Promise.all([
+        runReadinessCheck('messaging', {
+            configured: messagingProvider.name === 'mock'
+                || Boolean(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_VERIFY_SERVICE_SID && TWILIO_PHONE_NUMBER),
+            probe: () => messagingProvider.checkHealth(),
+        }),
+        runReadinessCheck('googleRoutes', {
+            configured: Boolean(GOOGLE_ROUTES_API_KEY),
+            probe: checkGoogleRoutes,
+        }),
+    ]);
+    const result = {
+        status: messaging.status === 'ok' && googleRoutes.status === 'ok' ? 'ready' : 'not_ready',
+        checkedAt: new Date().toISOString(),
+        checks: { messaging: { provider: messagingProvider.name, ...messaging }, googleRoutes },
+    };
+    readinessCache = { result, expiresAt: Date.now() + READINESS_CACHE_SECONDS * 1000 };
+    return result;
+};
+
+const sendHealth = (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - serverStartedAt) / 1000) });
+};
+
+app.get('/', sendHealth);
+app.get('/health', sendHealth);
+
+app.get('/ready', async (req, res) => {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+});
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+const requireMetricsAccess = (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (isStaffRequest(req) || (METRICS_TOKEN && scheme === 'Bearer' && safeEqual(token, METRICS_TOKEN))) {
+        return next();
+    }
+    sendError(res, 401, 'METRICS_AUTH_REQUIRED', 'Metrics authentication required.');
+};
+
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// --- Fallback Handlers ---
+// Registered last so unknown routes and anything thrown by a handler or body parser still get
+// the error envelope instead of Express' HTML pages.
+app.use((req, res) => {
+    sendError(res, 404, 'ROUTE_NOT_FOUND', `No endpoint for ${req.method} ${req.path}.`);
+});
+
+// `next` is unused but required: Express recognises error handlers by their four parameters
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large.');
+    }
+    if (error.expose && error.code) {
+        return sendApiError(res, error);
     }
+    logger.error('Unhandled error', { method: req.method, path: req.path, error });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Something went wrong. Please try again.');
 });
 
 // --- Start the Server ---
+startNotificationJobPoller();
 app.listen(port, () => {
-    console.log(`Unified backend server running on http://localhost:${port}`);
-    console.log(`Twilio endpoints: /api/send-otp, /api/verify-otp, /api/send-booking-sms`);
-    console.log(`Google Maps endpoint: /api/get-tolls`);
+    logger.info(`Unified backend server running on http://localhost:${port}`, {
+        logLevel: LOG_LEVEL,
+        messagingProvider: messagingProvider.name,
+        jobPollIntervalSeconds: JOB_POLL_INTERVAL_SECONDS,
+        endpoints: {
+            messaging: ['/api/send-otp', '/api/verify-otp', '/api/send-booking-sms'],
+            session: ['/api/auth/refresh', '/api/auth/logout'],
+            googleMaps: ['/api/get-tolls', '/api/quote', '/api/places/autocomplete', '/api/places/geocode'],
+            bookings: ['/api/bookings', '/api/bookings/:id', '/api/bookings/:id/status', '/api/bookings/:id/assign', '/api/bookings/:id/cancel'],
+            registry: ['/api/drivers', '/api/vehicles'],
+            jobs: ['/api/jobs/run'],
+            payments: paymentGateway
+                ? ['/api/bookings/:id/payments', '/api/payments/verify', '/api/payments/:id/refund', '/api/webhooks/payments']
+                : 'disabled (set PAYMENT_GATEWAY)',
+            corporate: ['/api/corporate-accounts', '/api/corporate-accounts/:id/employees', '/api/corporate-accounts/:id/statement', '/api/corporate/me', '/api/corporate/approvals', '/api/bookings/:id/approval'],
+            invoices: ['/api/bookings/:id/invoice', '/api/invoices/:id', '/api/invoices/:id/pdf'],
+            promos: ['/api/promos', '/api/promos/:code', '/api/promos/validate', '/api/referrals/me'],
+            tracking: ['/api/bookings/:id/location', '/api/bookings/:id/tracking', '/api/bookings/:id/tracking/stream', '/api/track/:token', '/api/track/:token/stream', '/track/:token'],
+            admin: ['/api/admin/bookings', '/api/admin/bookings/export.csv', '/api/admin/bookings/:id/status', '/api/admin/reports/revenue', '/api/admin/reports/messaging', '/api/admin/audit-log'],
+            status: ['/health', '/ready', '/metrics'],
+            messageLog: [TWILIO_STATUS_WEBHOOK_PATH, '/api/bookings/:id/messages', '/api/messages/:id/resend'],
+        },
+    });
 });